@@ -1,16 +1,97 @@
 // === Config ===
 const Config = {
-  STEPS: 100,
   ROWS: 24,
   MIN_NOTE: 48,  // C3
   MAX_NOTE: 71,  // B4
-  CHANNELS: [
-    { name: 'Lead',  waveType: 'square',   color: '#00ffff' },
-    { name: 'Bass',  waveType: 'triangle', color: '#ff00ff' },
-    { name: 'Arp',   waveType: 'sawtooth', color: '#00ff66' },
-    { name: 'Perc',  waveType: 'noise',    color: '#ffff00' },
-  ],
+  // Generator roles a channel can play, with the wave and color a channel of that role starts
+  // with. slot is the entry of a preset's per-channel lists (waves, duties) the role follows.
+  ROLES: {
+    lead:    { label: 'Lead',    waveType: 'square',   color: '#00ffff', slot: 0 },
+    bass:    { label: 'Bass',    waveType: 'triangle', color: '#ff00ff', slot: 1 },
+    arp:     { label: 'Arp',     waveType: 'sawtooth', color: '#00ff66', slot: 2 },
+    perc:    { label: 'Perc',    waveType: 'noise',    color: '#ffff00', slot: 3 },
+    pad:     { label: 'Pad',     waveType: 'triangle', color: '#ff8800', slot: 2 },
+    counter: { label: 'Counter', waveType: 'square',   color: '#aa88ff', slot: 0 },
+  },
+  // Roles of a new song's channels
+  DEFAULT_CHANNELS: ['lead', 'bass', 'arp', 'perc'],
+  // Most channels a song can have; the hardware profile may allow fewer
+  MAX_CHANNELS: 12,
+  // Colors added channels take when their role's color is already in use
+  CHANNEL_COLORS: ['#ff4477', '#4488ff', '#88ff00', '#00ccaa', '#ffaa88', '#ffffff'],
   NOTE_NAMES: ['C','C#','D','D#','E','F','F#','G','G#','A','A#','B'],
+  WAVE_TYPES: ['square', 'triangle', 'sawtooth', 'sine', 'noise'],
+  // Pulse widths of the square wave, as on the NES 2A03 pulse channels (75% sounds like 25%)
+  DUTY_CYCLES: [0.125, 0.25, 0.5],
+  // 2A03 noise LFSR modes: long hiss, or the short metallic loop
+  NOISE_MODES: ['long', 'short'],
+  // Pan positions from -1 (left) to 1 (right), in steps of 1 / PAN_STEPS
+  PAN_STEPS: 16,
+  // Bit crusher settings: amplitude depth in bits and sample-and-hold rate in Hz (0 = off)
+  CRUSH_DEPTHS: [0, 12, 8, 6, 4, 3, 2],
+  CRUSH_RATES: [0, 32000, 22050, 16000, 11025, 8000, 5512],
+  // Tracker effect commands, written like FamiTracker's effect column (command + two hex digits):
+  // 0xy arpeggio, 1xx/2xx slide up/down, 3xx portamento, 4xy vibrato, Axy volume slide,
+  // Sxx note cut, Gxx note delay. Effects run on ticks, FX_TICKS_PER_STEP to a step.
+  FX_COMMANDS: ['0', '1', '2', '3', '4', 'A', 'S', 'G'],
+  FX_TICKS_PER_STEP: 6,
+  // Perc rows in drum-kit mode: rows low..high play one synthesized drum, tuned up a semitone per row.
+  // gm lists the General MIDI drum notes for each voice; the first is used for export.
+  DRUM_KIT: [
+    { voice: 'kick',      label: 'KICK',  low: 48, high: 50, gm: [36, 35] },
+    { voice: 'tomLow',    label: 'TOM L', low: 51, high: 52, gm: [45, 41, 43] },
+    { voice: 'tomMid',    label: 'TOM M', low: 53, high: 54, gm: [47, 48] },
+    { voice: 'snare',     label: 'SNARE', low: 55, high: 58, gm: [38, 37, 39, 40] },
+    { voice: 'tomHigh',   label: 'TOM H', low: 59, high: 63, gm: [50] },
+    { voice: 'hatClosed', label: 'HAT',   low: 64, high: 65, gm: [42, 44] },
+    { voice: 'hatOpen',   label: 'OPEN',  low: 66, high: 68, gm: [46] },
+    { voice: 'crash',     label: 'CRASH', low: 69, high: 71, gm: [49, 51, 52, 53, 55, 57, 59] },
+  ],
+  // Beats per bar as step counts (one step = a 16th note); compound meters group
+  // eighths into dotted beats: 6/8 is 3+3, 7/8 is 2+2+3
+  METERS: {
+    '4/4': [4, 4, 4, 4],
+    '3/4': [4, 4, 4],
+    '6/8': [6, 6],
+    '7/8': [4, 4, 6],
+    '5/4': [4, 4, 4, 4, 4],
+  },
+  // Groove templates: how far each step is pushed late, repeating every `shape.length` steps,
+  // in units of the swing depth. Swing S% puts the off-beat at S% of its pair, so the depth is
+  // (2S/100 - 1) steps: 50% is straight, 66% a triplet lilt. 'mpc' swings 16ths; 'shuffle'
+  // swings 8ths and stretches the 16ths between them along. 'custom' uses per-step offsets.
+  GROOVES: {
+    straight: { label: 'Straight', shape: [0] },
+    shuffle:  { label: 'Shuffle',  shape: [0, 1, 2, 1] },
+    mpc:      { label: 'MPC',      shape: [0, 1] },
+    custom:   { label: 'Custom',   shape: null },
+  },
+  SWING_MIN: 50,
+  SWING_MAX: 75,
+  // Custom offsets: up to 16 per cycle, each -0.5..0.5 of a step in hundredths
+  MAX_GROOVE_STEPS: 16,
+  // Effect rack: channels send to a shared tempo-synced delay and reverb, and run their own
+  // inserts (filter → drive → chorus). Delay divisions are echo times in steps (16ths).
+  DELAY_DIVISIONS: {
+    '1/8':  { label: '1/8',        steps: 2 },
+    '1/8d': { label: '1/8 DOTTED', steps: 3 },
+    '1/4':  { label: '1/4',        steps: 4 },
+  },
+  FX_FILTERS: ['off', 'lowpass', 'highpass', 'bandpass'],
+  // Effect parameter ranges; values sit on a grid of 1/scale (hundredths, tenths or whole units)
+  FX_RANGES: {
+    delay:     { min: 0,   max: 1,     scale: 100 }, // channel send levels
+    reverb:    { min: 0,   max: 1,     scale: 100 },
+    cutoff:    { min: 20,  max: 20000, scale: 1 },   // Hz
+    resonance: { min: 0.1, max: 20,    scale: 10 },  // filter Q
+    sweep:     { min: -48, max: 48,    scale: 1 },   // semitones each note's cutoff starts away from it
+    drive:     { min: 0,   max: 1,     scale: 100 },
+    chorus:    { min: 0,   max: 1,     scale: 100 },
+    feedback:  { min: 0,   max: 0.9,   scale: 100 }, // shared delay
+    size:      { min: 0.1, max: 4,     scale: 10 },  // shared reverb length in seconds
+    decay:     { min: 0.5, max: 8,     scale: 10 },  // shared reverb fade curve
+  },
+  CHANNEL_FX: { delay: 0, reverb: 0, filter: 'off', cutoff: 2000, resonance: 1, sweep: 0, drive: 0, chorus: 0 },
   SCALES: {
     pentatonic:    [0,2,4,7,9],
     blues:         [0,3,5,6,7,10],
@@ -31,56 +112,441 @@ const Config = {
   SCHEDULE_INTERVAL: 25,
 };
 
+// === Song Arrangement ===
+// A song is a bank of patterns (A, B, C...) chained by an order list with per-entry repeats.
+const Song = (() => {
+  const MAX_PATTERNS = 26;
+  const MAX_REPEATS = 16;
+  const MAX_ORDER = 64;
+  const MAX_BARS = 16;
+  const MAX_STEPS = 256; // longest pattern: 16 bars of 4/4, and what links and FamiTracker rows hold
+
+  // --- Pattern length + meter ---
+  function barSteps(timeSig = State.timeSig) {
+    return Config.METERS[timeSig].reduce((sum, beat) => sum + beat, 0);
+  }
+
+  function stepCount(bars = State.bars, timeSig = State.timeSig) {
+    return bars * barSteps(timeSig);
+  }
+
+  // Most bars of a meter that fit in MAX_STEPS (12 of 5/4)
+  function maxBars(timeSig = State.timeSig) {
+    return Math.min(MAX_BARS, Math.floor(MAX_STEPS / barSteps(timeSig)));
+  }
+
+  // Where a step sits in the meter: bar index, beat within the bar, steps into that beat
+  function beatAt(step) {
+    const beats = Config.METERS[State.timeSig];
+    const size = barSteps();
+    let offset = step % size;
+    let beat = 0;
+    while (offset >= beats[beat]) {
+      offset -= beats[beat];
+      beat++;
+    }
+    return { bar: Math.floor(step / size), beat, offset, length: beats[beat] };
+  }
+
+  // Resize every pattern in the bank; notes past the new end are dropped or shortened
+  function setLength(bars, timeSig) {
+    State.bars = bars;
+    State.timeSig = timeSig;
+    const steps = stepCount();
+    for (const pattern of State.bank) {
+      for (const channel of pattern.patterns) {
+        channel.length = Math.min(channel.length, steps);
+        while (channel.length < steps) channel.push(new Map());
+        channel.forEach((cell, step) => cell.forEach(note => {
+          note.length = Math.min(note.length, steps - step);
+        }));
+      }
+      pattern.tempo = pattern.tempo.filter(point => point.step < steps);
+    }
+  }
+
+  // --- Tempo map ---
+  // Each pattern holds tempo breakpoints { step, bpm, ramp }, sorted by step. A point sets the
+  // tempo from its step on; a ramped one glides there step by step from the tempo before it.
+  // Steps ahead of the first point play at the song BPM.
+  const MAX_BPM = 240;
+
+  function tempoAt(pattern, step) {
+    let from = { step: 0, bpm: State.bpm };
+    for (const point of pattern.tempo) {
+      if (point.step > step) {
+        if (!point.ramp) break;
+        return from.bpm + (point.bpm - from.bpm) * (step - from.step) / (point.step - from.step);
+      }
+      from = point;
+    }
+    return from.bpm;
+  }
+
+  // Add or replace the breakpoint on a step
+  function setTempoPoint(pattern, step, bpm, ramp = false) {
+    pattern.tempo = pattern.tempo
+      .filter(point => point.step !== step)
+      .concat({ step, bpm, ramp })
+      .sort((a, b) => a.step - b.step);
+  }
+
+  function removeTempoPoint(pattern, step) {
+    pattern.tempo = pattern.tempo.filter(point => point.step !== step);
+  }
+
+  // --- Notes ---
+  // Each step of a channel is a Map of MIDI note -> { length, tie, velocity, fx, pan } for notes
+  // starting there. length counts steps; tie joins the note to the same pitch starting right where
+  // it ends; velocity is 1-127 like MIDI; fx is a tracker effect column or null; pan places the
+  // note from -1 (left) to 1 (right), or is null to follow the channel.
+  const DEFAULT_VELOCITY = 100;
+
+  function emptySteps() {
+    return Array.from({ length: State.steps }, () => new Map());
+  }
+
+  function emptyChannels() {
+    return State.channels.map(emptySteps);
+  }
+
+  function putNote(cell, midi, { length = 1, tie = false, velocity = DEFAULT_VELOCITY, fx = null, pan = null } = {}) {
+    cell.set(midi, { length, tie, velocity, fx, pan });
+  }
+
+  // Snap a pan position to the PAN_STEPS grid within -1..1
+  function quantizePan(pan) {
+    return Math.max(-1, Math.min(1, Math.round(pan * Config.PAN_STEPS) / Config.PAN_STEPS));
+  }
+
+  // Effect column text → { cmd, value, x, y }, or null for an empty or malformed column
+  function parseFx(fx) {
+    const match = /^([0-9A-Z])([0-9A-F]{2})$/.exec(fx || '');
+    if (!match || !Config.FX_COMMANDS.includes(match[1])) return null;
+    const value = parseInt(match[2], 16);
+    return { cmd: match[1], value, x: value >> 4, y: value & 15 };
+  }
+
+  // Start step of the note of this pitch sounding at step, or -1
+  function noteStartAt(cells, step, midi) {
+    for (let s = step; s >= 0; s--) {
+      const note = cells[s].get(midi);
+      if (note) return s + note.length > step ? s : -1;
+    }
+    return -1;
+  }
+
+  // Steps a note sounds for, following its chain of ties
+  function noteSpan(cells, step, midi) {
+    let end = step;
+    let note = cells[step].get(midi);
+    for (;;) {
+      end += note.length;
+      if (!note.tie || end >= cells.length || !cells[end].has(midi)) break;
+      note = cells[end].get(midi);
+    }
+    return Math.min(end, cells.length) - step;
+  }
+
+  // True when the previous note of this pitch ties into step, so it must not retrigger
+  function isTiedInto(cells, step, midi) {
+    for (let s = step - 1; s >= 0; s--) {
+      const note = cells[s].get(midi);
+      if (note) return note.tie && s + note.length === step;
+    }
+    return false;
+  }
+
+  // Resize a note, stopping short of the next note of the same pitch and the pattern end
+  function setNoteLength(cells, start, midi, length) {
+    let limit = cells.length - start;
+    for (let s = start + 1; s < start + limit; s++) {
+      if (cells[s].has(midi)) {
+        limit = s - start;
+        break;
+      }
+    }
+    cells[start].get(midi).length = Math.max(1, Math.min(length, limit));
+  }
+
+  function createPattern(name) {
+    return { name, patterns: emptyChannels(), tempo: [] };
+  }
+
+  // First unused letter A..Z
+  function nextName() {
+    const used = State.bank.map(p => p.name);
+    for (let i = 0; i < MAX_PATTERNS; i++) {
+      const name = String.fromCharCode(65 + i);
+      if (!used.includes(name)) return name;
+    }
+    return null;
+  }
+
+  // Bank indices in play order for the current scope, with repeats expanded
+  function sequence() {
+    if (State.playScope === 'pattern' || State.order.length === 0) return [State.editPattern];
+    const seq = [];
+    for (const entry of State.order) {
+      for (let r = 0; r < entry.repeats; r++) seq.push(entry.pattern);
+    }
+    return seq;
+  }
+
+  // --- Bank edits ---
+  function addPattern() {
+    const name = nextName();
+    if (!name) return false;
+    State.bank.push(createPattern(name));
+    State.editPattern = State.bank.length - 1;
+    return true;
+  }
+
+  function duplicatePattern() {
+    const name = nextName();
+    if (!name) return false;
+    const copy = createPattern(name);
+    State.patterns.forEach((steps, ch) => {
+      steps.forEach((cell, step) => cell.forEach((note, midi) => copy.patterns[ch][step].set(midi, { ...note })));
+    });
+    copy.tempo = State.bank[State.editPattern].tempo.map(point => ({ ...point }));
+    State.bank.push(copy);
+    State.editPattern = State.bank.length - 1;
+    return true;
+  }
+
+  // Remove a pattern from the bank and every order entry that plays it
+  function deletePattern(idx) {
+    if (State.bank.length <= 1) return false;
+    State.bank.splice(idx, 1);
+    State.order = State.order
+      .filter(entry => entry.pattern !== idx)
+      .map(entry => ({ ...entry, pattern: entry.pattern > idx ? entry.pattern - 1 : entry.pattern }));
+    State.editPattern = Math.min(State.editPattern, State.bank.length - 1);
+    return true;
+  }
+
+  // --- Channels ---
+  // Each channel plays one generator role (Config.ROLES) in its own color. Names follow the
+  // role, numbered when channels share one: Lead, Bass, Lead 2.
+  function createChannel(role, color = Config.ROLES[role].color) {
+    return {
+      name: Config.ROLES[role].label,
+      role,
+      color,
+      waveType: Config.ROLES[role].waveType,
+      duty: 0.5,
+      noiseMode: 'long', // LFSR mode of the noise wave in authentic 2A03 mode
+      drumKit: role === 'perc', // rows play synthesized drums instead of pitched notes
+      ring: false, // triangle ring-modulated by the previous voice, on profiles with ring mod
+      volume: 0.8,
+      pan: 0, // -1 left .. 1 right; notes may override it
+      fx: { ...Config.CHANNEL_FX }, // effect sends and inserts, see Config.FX_RANGES
+      muted: false,
+      solo: false,
+    };
+  }
+
+  function nameChannels() {
+    const counts = {};
+    for (const ch of State.channels) {
+      counts[ch.role] = (counts[ch.role] || 0) + 1;
+      ch.name = Config.ROLES[ch.role].label + (counts[ch.role] > 1 ? ` ${counts[ch.role]}` : '');
+    }
+  }
+
+  // The role's own color if no channel has it yet, else the first free spare color
+  function freeColor(role) {
+    const used = State.channels.map(ch => ch.color);
+    return [Config.ROLES[role].color, ...Config.CHANNEL_COLORS].find(color => !used.includes(color)) ||
+      Config.ROLES[role].color;
+  }
+
+  // Add a channel (with empty steps in every pattern) and select it; `limit` is the profile's voice count
+  function addChannel(role, limit = Config.MAX_CHANNELS) {
+    if (State.channels.length >= Math.min(limit, Config.MAX_CHANNELS)) return false;
+    State.channels.push(createChannel(role, freeColor(role)));
+    for (const pattern of State.bank) pattern.patterns.push(emptySteps());
+    nameChannels();
+    State.activeChannel = State.channels.length - 1;
+    return true;
+  }
+
+  function removeChannel(idx) {
+    if (State.channels.length <= 1) return false;
+    State.channels.splice(idx, 1);
+    for (const pattern of State.bank) pattern.patterns.splice(idx, 1);
+    nameChannels();
+    State.activeChannel = Math.min(State.activeChannel, State.channels.length - 1);
+    return true;
+  }
+
+  // A new role brings its wave and drum-kit setting along, as a new channel would
+  function setRole(idx, role) {
+    const ch = State.channels[idx];
+    ch.role = role;
+    ch.waveType = Config.ROLES[role].waveType;
+    ch.drumKit = role === 'perc';
+    nameChannels();
+  }
+
+  // --- Order list edits ---
+  function appendToOrder(patternIdx) {
+    if (State.order.length >= MAX_ORDER) return false;
+    State.order.push({ pattern: patternIdx, repeats: 1 });
+    return true;
+  }
+
+  function removeFromOrder(pos) {
+    State.order.splice(pos, 1);
+  }
+
+  function moveInOrder(pos, dir) {
+    const to = pos + dir;
+    if (to < 0 || to >= State.order.length) return pos;
+    const [entry] = State.order.splice(pos, 1);
+    State.order.splice(to, 0, entry);
+    return to;
+  }
+
+  function setRepeats(pos, repeats) {
+    State.order[pos].repeats = Math.max(1, Math.min(MAX_REPEATS, repeats));
+  }
+
+  return {
+    MAX_PATTERNS, MAX_REPEATS, MAX_ORDER, MAX_BARS, MAX_BPM, DEFAULT_VELOCITY,
+    barSteps, stepCount, maxBars, beatAt, setLength, tempoAt, setTempoPoint, removeTempoPoint,
+    putNote, parseFx, quantizePan, noteStartAt, noteSpan, isTiedInto, setNoteLength,
+    createPattern, emptyChannels, sequence,
+    createChannel, nameChannels, addChannel, removeChannel, setRole,
+    addPattern, duplicatePattern, deletePattern,
+    appendToOrder, removeFromOrder, moveInOrder, setRepeats,
+  };
+})();
+
 // === State ===
 const State = {
   activeChannel: 0,
-  patterns: Array.from({ length: 4 }, () =>
-    Array.from({ length: Config.STEPS }, () => new Set())
-  ),
-  channels: Config.CHANNELS.map(ch => ({
-    ...ch,
-    volume: 0.8,
-    muted: false,
-    solo: false,
-  })),
+  // Pattern length in bars of the chosen meter; every pattern in the bank shares it
+  bars: 6,
+  timeSig: '4/4',
+  get steps() { return Song.stepCount(); },
+  // Pattern bank + order list; the grid and generators edit bank[editPattern]
+  bank: [],
+  order: [{ pattern: 0, repeats: 1 }],
+  editPattern: 0,
+  get patterns() { return this.bank[this.editPattern].patterns; },
+  channels: [], // see Song.createChannel
   bpm: 120,
   playing: false,
   looping: true,
+  playScope: 'song', // 'song' plays the order list, 'pattern' only the edited pattern
   currentStep: 0,
-  bitMode: 8, // 8, 16, or 32
+  profile: 'nes', // hardware profile, one of Audio.getProfiles()
+  authentic: false, // NES profile: stepped 2A03 triangle + LFSR noise instead of the smooth Web Audio versions
+  crush: { depth: 4, rate: 11025 }, // bit crusher; the profile sets its defaults
+  groove: { template: 'straight', swing: 66, offsets: [0, 0.25] }, // see Config.GROOVES
+  fx: { delay: { division: '1/8', feedback: 0.3 }, reverb: { size: 1.5, decay: 3 } }, // shared effects
   activePreset: 'chiptune',
   generate: {
     scale: 'pentatonic',
     rootNote: 0,
     density: 50,
+    seed: 1,
+    mode: 'style', // 'style' (GENERATE) or 'random' (RANDOMIZE) — which generator the seed drives
+    effects: true, // lead styles may add tracker effects (vibrato, slides, arpeggios)
   },
 };
+// Created after State so the pattern can size itself from State.channels and State.steps
+State.channels = Config.DEFAULT_CHANNELS.map(role => Song.createChannel(role));
+State.bank.push(Song.createPattern('A'));
 
 // === Audio Engine ===
 const Audio = (() => {
   let ctx = null;
-  let masterGain = null;
-  let bitCrusher = null;
-  let loFilter = null;
-  let outputGain = null;
+  let graph = null;   // live render graph on ctx, from buildGraph
+  let cursor = null;  // live song position, from createCursor
   let schedulerTimer = null;
-  let nextStepTime = 0;
-  let scheduledStep = 0;
-  let noiseBuffer = null;
-
-  // Era-accurate bit mode configs
-  // 8-bit (NES): square/triangle/noise only, 1 note per channel, no FX, crunchy
-  // 16-bit (SNES): + sawtooth/sine, 2 notes per channel, delay/echo, warmer
-  // 32-bit (Modern): all waveforms, unlimited polyphony, delay + reverb, pristine
-  const BIT_MODES = {
-    8:  { quantize: 8,   cutoff: 4000,  gain: 0.55, maxPolyPerCh: 1, allowedWaves: ['square','triangle','noise'], hasDelay: false, hasReverb: false },
-    16: { quantize: 128, cutoff: 12000, gain: 0.5,  maxPolyPerCh: 2, allowedWaves: ['square','triangle','sawtooth','sine','noise'], hasDelay: true, hasReverb: false },
-    32: { quantize: 0,   cutoff: 22050, gain: 0.5,  maxPolyPerCh: Infinity, allowedWaves: ['square','triangle','sawtooth','sine','noise'], hasDelay: true, hasReverb: true },
+
+  // Hardware profiles: what each chip (or era) can play and how it sounds.
+  //   bits            era tier; 8-bit profiles build drums from chip parts only
+  //   channels        voices the chip has: how many channels a song can add, and past them
+  //                   (say after switching profile) the rest stay silent
+  //   maxPolyPerCh    notes one channel can sound at once
+  //   allowedWaves    waves it can make; others fall back via WAVE_FALLBACK
+  //   voiceWaves      for chips whose voices differ, the waves each voice (song channel in
+  //                   order) can make, in place of allowedWaves
+  //   duties          pulse widths its squares support
+  //   cutoff/resonance output lowpass (the SID's resonant filter)
+  //   crushDepth/crushRate  bit crusher defaults the profile resets to (see Config.CRUSH_*)
+  //   stereo          the STEREO_MODELS entry that places its channels
+  //   volumeSteps     levels of the volume register (0 = continuous); volumeDb makes them
+  //                   attenuation steps of that many dB instead of linear ones
+  //   wavetable       sample depth of 32-sample wavetables for triangle/saw/sine (0 = smooth)
+  //   lfsrNoise       noise always comes from the LFSR; pwm, ringMod: SID voice features
+  //   hasDelay/hasReverb  whether channels start with delay/reverb sends (see sendDefaults);
+  //                   chorus needs bits of 16 or more
+  // Listed in picker order; the first three are the original 8/16/32-bit modes.
+  const ALL_DUTIES = Config.DUTY_CYCLES;
+  const PROFILES = {
+    // 2A03: two pulses, triangle and noise (the DPCM sample channel isn't modeled)
+    nes: {
+      label: 'NES', bits: 8, channels: 4, maxPolyPerCh: 1, allowedWaves: ['square', 'triangle', 'noise'], duties: ALL_DUTIES,
+      cutoff: 4000, resonance: 0.7, crushDepth: 4, crushRate: 11025, gain: 0.55, stereo: 'mono', volumeSteps: 15,
+      hasDelay: false, hasReverb: false,
+    },
+    snes: {
+      label: 'SNES', bits: 16, channels: 8, maxPolyPerCh: 2, allowedWaves: ['square', 'triangle', 'sawtooth', 'sine', 'noise'], duties: ALL_DUTIES,
+      cutoff: 12000, resonance: 0.7, crushDepth: 8, crushRate: 32000, gain: 0.5, stereo: 'free', volumeSteps: 0,
+      hasDelay: true, hasReverb: false,
+    },
+    modern: {
+      label: 'MODERN', bits: 32, channels: Infinity, maxPolyPerCh: Infinity, allowedWaves: ['square', 'triangle', 'sawtooth', 'sine', 'noise'], duties: ALL_DUTIES,
+      cutoff: 22050, resonance: 0.7, crushDepth: 0, crushRate: 0, gain: 0.5, stereo: 'free', volumeSteps: 0,
+      hasDelay: true, hasReverb: true,
+    },
+    // DMG: two pulses, a 4-bit wavetable channel and LFSR noise
+    gb: {
+      label: 'GAME BOY', bits: 8, channels: 4, maxPolyPerCh: 1, allowedWaves: ['square', 'triangle', 'sawtooth', 'sine', 'noise'], duties: ALL_DUTIES,
+      voiceWaves: [['square'], ['square'], ['triangle', 'sawtooth', 'sine'], ['noise']],
+      cutoff: 8000, resonance: 0.7, crushDepth: 4, crushRate: 16000, gain: 0.55, stereo: 'hard', volumeSteps: 15,
+      wavetable: 4, lfsrNoise: true, hasDelay: false, hasReverb: false,
+    },
+    // SID: three voices with pulse-width modulation, ring mod and a resonant lowpass
+    c64: {
+      label: 'C64 SID', bits: 8, channels: 3, maxPolyPerCh: 1, allowedWaves: ['square', 'triangle', 'sawtooth', 'noise'], duties: ALL_DUTIES,
+      cutoff: 5000, resonance: 6, crushDepth: 12, crushRate: 0, gain: 0.5, stereo: 'mono', volumeSteps: 15,
+      pwm: true, ringMod: true, hasDelay: false, hasReverb: false,
+    },
+    // SN76489: three fixed 50% squares and a noise channel, 2 dB attenuation steps
+    sms: {
+      label: 'MASTER SYSTEM', bits: 8, channels: 4, maxPolyPerCh: 1, allowedWaves: ['square', 'noise'], duties: [0.5],
+      voiceWaves: [['square'], ['square'], ['square'], ['noise']],
+      cutoff: 6000, resonance: 0.7, crushDepth: 4, crushRate: 22050, gain: 0.55, stereo: 'mono', volumeSteps: 15, volumeDb: 2,
+      lfsrNoise: true, hasDelay: false, hasReverb: false,
+    },
+    // HuC6280: six 5-bit wavetable channels with stereo balance
+    pce: {
+      label: 'PC ENGINE', bits: 8, channels: 6, maxPolyPerCh: 1, allowedWaves: ['square', 'triangle', 'sawtooth', 'sine', 'noise'], duties: ALL_DUTIES,
+      cutoff: 12000, resonance: 0.7, crushDepth: 5, crushRate: 22050, gain: 0.5, stereo: 'free', volumeSteps: 31,
+      wavetable: 5, hasDelay: false, hasReverb: false,
+    },
   };
 
+  function profileOf(id) {
+    return PROFILES[id] || PROFILES.modern;
+  }
+
   // Fallback waveform mapping for restricted modes
   const WAVE_FALLBACK = { sawtooth: 'square', sine: 'triangle' };
 
+  // Where a stereo model puts a channel panned to `pan`
+  const STEREO_MODELS = {
+    mono: () => 0,                                             // NES, SID, SMS: a single mono output
+    hard: pan => (pan <= -1 / 3 ? -1 : pan >= 1 / 3 ? 1 : 0), // Game Boy: left, right or both
+    free: pan => pan,                                          // SNES and later: anywhere
+  };
+
   function makeCrusherCurve(quantizeLevels) {
     const length = 8192;
     const curve = new Float32Array(length);
@@ -98,229 +564,1015 @@ const Audio = (() => {
     return curve;
   }
 
-  // Delay/reverb nodes
-  let delayNode = null, delayFeedback = null, delayWet = null;
-  let reverbNode = null, reverbWet = null;
+  // Quantization levels per polarity for a crusher depth in bits; 0 leaves the signal alone
+  function crushLevels(depth) {
+    return depth > 0 ? Math.pow(2, depth - 1) : 0;
+  }
+
+  // AudioWorklet crusher: the same quantization as makeCrusherCurve plus sample-and-hold rate
+  // reduction, which aliases like a low-rate DAC. Loaded from a Blob URL so it needs no extra file.
+  const CRUSHER_PROCESSOR = `
+class BitCrusherProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'levels', defaultValue: 0, minValue: 0, automationRate: 'k-rate' },
+      { name: 'rate', defaultValue: 0, minValue: 0, automationRate: 'k-rate' },
+    ];
+  }
+
+  constructor() {
+    super();
+    this.phase = [];
+    this.held = [];
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const levels = parameters.levels[0];
+    const rate = parameters.rate[0];
+    // How far through one held sample each output sample moves; 1 takes every sample
+    const step = rate > 0 ? Math.min(1, rate / sampleRate) : 1;
+    for (let c = 0; c < output.length; c++) {
+      const src = input[c];
+      const dst = output[c];
+      if (!src) {
+        dst.fill(0);
+        continue;
+      }
+      let phase = this.phase[c] === undefined ? 1 : this.phase[c];
+      let held = this.held[c] || 0;
+      for (let i = 0; i < dst.length; i++) {
+        phase += step;
+        if (phase >= 1) {
+          phase -= 1;
+          const x = Math.max(-1, Math.min(1, src[i]));
+          held = levels > 0 ? Math.round(x * levels) / levels : x;
+        }
+        dst[i] = held;
+      }
+      this.phase[c] = phase;
+      this.held[c] = held;
+    }
+    return true;
+  }
+}
+registerProcessor('bit-crusher', BitCrusherProcessor);
+`;
+  let crusherUrl = null;
+
+  // Swap the graph's WaveShaper crusher for the worklet once its module loads. Resolves either
+  // way: without AudioWorklet support (or if loading fails) the WaveShaper stays, quantizing
+  // amplitude only.
+  function installWorkletCrusher(g) {
+    if (!g.ctx.audioWorklet || typeof AudioWorkletNode === 'undefined') return Promise.resolve(false);
+    if (!crusherUrl) {
+      crusherUrl = URL.createObjectURL(new Blob([CRUSHER_PROCESSOR], { type: 'application/javascript' }));
+    }
+    return g.ctx.audioWorklet.addModule(crusherUrl).then(() => {
+      const node = new AudioWorkletNode(g.ctx, 'bit-crusher');
+      g.loFilter.disconnect();
+      g.crusher.disconnect();
+      g.loFilter.connect(node);
+      node.connect(g.output);
+      g.crusher = node;
+      applyCrush(g);
+      return true;
+    }).catch(err => {
+      console.error('AudioWorklet crusher unavailable, using the WaveShaper:', err);
+      return false;
+    });
+  }
+
+  // Reverb impulse: noise under a power-curve fade. The noise is seeded so every render of a
+  // song (live or exported) uses the same impulse.
+  const IMPULSE_SEED = 0x5EED;
 
   function generateImpulseResponse(audioCtx, duration, decay) {
-    const length = audioCtx.sampleRate * duration;
+    const length = Math.round(audioCtx.sampleRate * duration);
     const impulse = audioCtx.createBuffer(2, length, audioCtx.sampleRate);
     for (let ch = 0; ch < 2; ch++) {
       const data = impulse.getChannelData(ch);
+      const rng = Generator.createRng(IMPULSE_SEED + ch);
       for (let i = 0; i < length; i++) {
-        data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+        data[i] = (rng() * 2 - 1) * Math.pow(1 - i / length, decay);
       }
     }
     return impulse;
   }
 
+  // Master limiter: a fast, hard-kneed compressor that only acts on peaks near full scale
+  const LIMITER = { threshold: -3, knee: 0, ratio: 20, attack: 0.002, release: 0.15 };
+  // A DynamicsCompressorNode adds makeup gain of 0.6 × the dB its curve takes off a full-scale
+  // input (Web Audio spec); the trim after it takes that back so quiet passages pass at unity
+  const LIMITER_MAKEUP_DB = -0.6 * (LIMITER.threshold - LIMITER.threshold / LIMITER.ratio);
+
+  const MAX_DELAY = 4; // seconds; slow tempos' echoes are held to it
+  // Chorus: a short delay swept by a slow sine around CHORUS_DELAY, CHORUS_DEPTH either way
+  const CHORUS_DELAY = 0.015;
+  const CHORUS_DEPTH = 0.004;
+  const CHORUS_RATE = 0.8;
+  const DRIVE_CURVE_LENGTH = 1024;
+
+  // One channel's insert chain and sends. The filter idles as an allpass while it is off.
+  //   input → filter → drive → panner → graph input
+  //                          ↘ chorusDelay → chorusWet ↗  ↘ delaySend / reverbSend
+  function buildStrip(audioCtx, g) {
+    const input = audioCtx.createGain();
+    const filter = audioCtx.createBiquadFilter();
+    const drive = audioCtx.createWaveShaper();
+    drive.oversample = '2x';
+    const chorusDelay = audioCtx.createDelay(CHORUS_DELAY * 2);
+    chorusDelay.delayTime.value = CHORUS_DELAY;
+    const chorusDepth = audioCtx.createGain();
+    chorusDepth.gain.value = CHORUS_DEPTH;
+    const chorusWet = audioCtx.createGain();
+    const panner = audioCtx.createStereoPanner();
+    const delaySend = audioCtx.createGain();
+    const reverbSend = audioCtx.createGain();
+
+    input.connect(filter);
+    filter.connect(drive);
+    drive.connect(panner);
+    drive.connect(chorusDelay);
+    chorusDepth.connect(chorusDelay.delayTime);
+    chorusDelay.connect(chorusWet);
+    chorusWet.connect(panner);
+    panner.connect(g.input);
+    panner.connect(delaySend);
+    panner.connect(reverbSend);
+    delaySend.connect(g.delay);
+    reverbSend.connect(g.reverbBus);
+    return { input, filter, drive, chorusDepth, chorusWet, panner, delaySend, reverbSend, lfo: null };
+  }
+
+  // One strip per channel in front of the shared chain; notes play into it and automate it.
+  // Channels added while the graph runs get theirs (and a voice list) on first use.
+  function stripAt(g, idx) {
+    while (g.strips.length <= idx) {
+      const strip = buildStrip(g.ctx, g);
+      startChorusLfo(g, strip, g.ctx.currentTime);
+      g.strips.push(strip);
+      g.voices.push([]);
+    }
+    return g.strips[idx];
+  }
+
+  // The whole render chain on any BaseAudioContext — the live AudioContext and the export's
+  // OfflineAudioContext both play through one of these, so they sound the same:
+  //   strips[ch] → input → loFilter → crusher → output → master → limiter → trim → destination
+  //        ↘ delay ↗ (echoing through delayFeedback)
+  //        ↘ reverbBus → reverb ↗
+  // The effect returns join the channels at input, so echoes pass through the chip's filter and
+  // crusher too. Notes are scheduled into it with scheduleNotes; it also tracks the voices still
+  // sounding. The crusher starts as a WaveShaper and becomes the AudioWorklet when graph.ready resolves.
+  function buildGraph(audioCtx) {
+    const input = audioCtx.createGain();
+    // The panners are equal-power, so a centered channel comes out 3 dB down; make that up here
+    input.gain.value = 0.5 * Math.SQRT2;
+
+    // Lowpass filter — simulates the chip's limited bandwidth (and the SID's resonance)
+    const loFilter = audioCtx.createBiquadFilter();
+    loFilter.type = 'lowpass';
+
+    // Bit crusher via WaveShaperNode until the worklet loads
+    const crusher = audioCtx.createWaveShaper();
+    crusher.oversample = 'none';
+
+    // Output gain (compensate for volume loss from crushing)
+    const output = audioCtx.createGain();
+
+    // Shared delay (echo) with its feedback loop; scheduleStep keeps its time on the tempo
+    const delay = audioCtx.createDelay(MAX_DELAY);
+    const delayFeedback = audioCtx.createGain();
+    delay.connect(delayFeedback);
+    delayFeedback.connect(delay);
+    delay.connect(input);
+
+    // Shared reverb; applyFx swaps in a new convolver when its size or decay change
+    const reverbBus = audioCtx.createGain();
+
+    // Master bus: the chip output passes through a limiter, so dense arrangements duck
+    // instead of clipping at the output
+    const master = audioCtx.createGain();
+    const limiter = audioCtx.createDynamicsCompressor();
+    for (const [param, value] of Object.entries(LIMITER)) limiter[param].value = value;
+    const trim = audioCtx.createGain();
+    trim.gain.value = Math.pow(10, -LIMITER_MAKEUP_DB / 20);
+
+    input.connect(loFilter);
+    loFilter.connect(crusher);
+    crusher.connect(output);
+    output.connect(master);
+    master.connect(limiter);
+    limiter.connect(trim);
+    trim.connect(audioCtx.destination);
+
+    const g = {
+      ctx: audioCtx, input, loFilter, crusher, output, delay, delayFeedback, reverbBus, reverb: null, master, limiter, trim,
+      voices: [],          // sounding notes per channel, for voice limits
+      lastMidi: [],        // previous note per channel, for portamento
+      strips: [],          // per-channel inserts and sends, see stripAt
+      delaySeconds: null,  // delay time last scheduled, see syncDelay
+      reverbKey: null,     // size/decay the current impulse was made for
+    };
+    State.channels.forEach((ch, i) => stripAt(g, i));
+    applyProfile(g, State.profile);
+    applyCrush(g);
+    applyFx(g);
+    g.ready = installWorkletCrusher(g);
+    return g;
+  }
+
+  function applyProfile(g, id) {
+    const cfg = profileOf(id);
+    g.loFilter.frequency.value = cfg.cutoff;
+    g.loFilter.Q.value = cfg.resonance;
+    g.output.gain.value = cfg.gain;
+  }
+
+  // Soft clipper: unity for small drive, squashing toward ±1 as it rises (null = clean)
+  function makeDriveCurve(amount) {
+    if (amount <= 0) return null;
+    const k = amount * 20;
+    const curve = new Float32Array(DRIVE_CURVE_LENGTH);
+    for (let i = 0; i < DRIVE_CURVE_LENGTH; i++) {
+      const x = i * 2 / (DRIVE_CURVE_LENGTH - 1) - 1;
+      curve[i] = (1 + k) * x / (1 + k * Math.abs(x));
+    }
+    return curve;
+  }
+
+  // Apply State.fx and each channel's fx to a graph
+  function applyFx(g) {
+    const { delay, reverb } = State.fx;
+    g.delayFeedback.gain.value = delay.feedback;
+    g.delaySeconds = null; // the next scheduled step sets the time for the new division
+
+    const reverbKey = `${reverb.size}/${reverb.decay}`;
+    if (reverbKey !== g.reverbKey) {
+      const convolver = g.ctx.createConvolver();
+      convolver.buffer = generateImpulseResponse(g.ctx, reverb.size, reverb.decay);
+      if (g.reverb) g.reverb.disconnect();
+      g.reverbBus.disconnect();
+      g.reverbBus.connect(convolver);
+      convolver.connect(g.input);
+      g.reverb = convolver;
+      g.reverbKey = reverbKey;
+    }
+
+    const chorusAllowed = profileOf(State.profile).bits >= 16;
+    State.channels.forEach((ch, i) => {
+      const strip = stripAt(g, i);
+      const fx = ch.fx;
+      strip.filter.frequency.cancelScheduledValues(0);
+      strip.filter.type = fx.filter === 'off' ? 'allpass' : fx.filter;
+      strip.filter.frequency.value = fx.filter === 'off' ? Config.FX_RANGES.cutoff.max : fx.cutoff;
+      strip.filter.Q.value = fx.filter === 'off' ? Config.FX_RANGES.resonance.min : fx.resonance;
+      strip.drive.curve = makeDriveCurve(fx.drive);
+      strip.chorusWet.gain.value = chorusAllowed ? fx.chorus : 0;
+      strip.delaySend.gain.value = fx.delay;
+      strip.reverbSend.gain.value = fx.reverb;
+    });
+  }
+
+  // Start the time-based effects over from `time`: new chorus LFOs (so a song played from the
+  // top sweeps exactly as its export does) and a fresh delay time
+  function restartFx(g, time) {
+    g.delay.delayTime.cancelScheduledValues(time);
+    g.delaySeconds = null;
+    for (const strip of g.strips) startChorusLfo(g, strip, time);
+  }
+
+  function startChorusLfo(g, strip, time) {
+    if (strip.lfo) strip.lfo.stop(time);
+    strip.lfo = g.ctx.createOscillator();
+    strip.lfo.frequency.value = CHORUS_RATE;
+    strip.lfo.connect(strip.chorusDepth);
+    strip.lfo.start(time);
+  }
+
+  // Keep the echoes on the grid: the delay is a whole number of steps at the tempo now playing
+  function syncDelay(g, stepDur, time) {
+    const seconds = Math.min(MAX_DELAY, Config.DELAY_DIVISIONS[State.fx.delay.division].steps * stepDur);
+    if (seconds === g.delaySeconds) return;
+    g.delay.delayTime.setValueAtTime(seconds, time);
+    g.delaySeconds = seconds;
+  }
+
+  function applyCrush(g) {
+    const levels = crushLevels(State.crush.depth);
+    if (g.crusher.parameters) {
+      g.crusher.parameters.get('levels').value = levels;
+      g.crusher.parameters.get('rate').value = State.crush.rate;
+    } else {
+      g.crusher.curve = makeCrusherCurve(levels);
+    }
+  }
+
   function init() {
     if (ctx) return;
     ctx = new (window.AudioContext || window.webkitAudioContext)();
-    masterGain = ctx.createGain();
-    masterGain.gain.value = 0.5;
+    graph = buildGraph(ctx);
+  }
 
-    // Lowpass filter — simulates limited bandwidth at lower bit depths
-    loFilter = ctx.createBiquadFilter();
-    loFilter.type = 'lowpass';
-    loFilter.Q.value = 0.7;
+  function setProfile(id) {
+    if (!graph) return;
+    applyProfile(graph, id);
+    applyFx(graph); // chorus follows the profile's bits
+  }
+
+  // Apply State.crush to live playback
+  function setCrush() {
+    if (graph) applyCrush(graph);
+  }
 
-    // Bit crusher via WaveShaperNode
-    bitCrusher = ctx.createWaveShaper();
-    bitCrusher.oversample = 'none';
+  // Apply State.fx and the channels' fx to live playback
+  function setFx() {
+    if (graph) applyFx(graph);
+  }
 
-    // Output gain (compensate for volume loss from crushing)
-    outputGain = ctx.createGain();
-
-    // Delay (echo) effect
-    delayNode = ctx.createDelay(1.0);
-    delayNode.delayTime.value = 0.25;
-    delayFeedback = ctx.createGain();
-    delayFeedback.gain.value = 0.3;
-    delayWet = ctx.createGain();
-    delayWet.gain.value = 0;
-    // Delay feedback loop
-    delayNode.connect(delayFeedback);
-    delayFeedback.connect(delayNode);
-    delayNode.connect(delayWet);
-
-    // Reverb effect
-    reverbNode = ctx.createConvolver();
-    reverbNode.buffer = generateImpulseResponse(ctx, 1.5, 3);
-    reverbWet = ctx.createGain();
-    reverbWet.gain.value = 0;
-    reverbNode.connect(reverbWet);
-
-    // Signal chain: masterGain → loFilter → bitCrusher → outputGain → destination
-    //                                                   ↘ delayNode → delayWet → destination
-    //                                                   ↘ reverbNode → reverbWet → destination
-    masterGain.connect(loFilter);
-    loFilter.connect(bitCrusher);
-    bitCrusher.connect(outputGain);
-    outputGain.connect(ctx.destination);
-
-    // Send from outputGain into delay and reverb
-    outputGain.connect(delayNode);
-    outputGain.connect(reverbNode);
-    delayWet.connect(ctx.destination);
-    reverbWet.connect(ctx.destination);
-
-    // Apply initial bit mode
-    applyBitMode(State.bitMode);
-
-    // Pre-create noise buffer
-    const bufferSize = ctx.sampleRate * 2;
-    noiseBuffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
-    const data = noiseBuffer.getChannelData(0);
-    for (let i = 0; i < bufferSize; i++) {
-      data[i] = Math.random() * 2 - 1;
-    }
-  }
-
-  function applyBitMode(bits) {
-    const cfg = BIT_MODES[bits] || BIT_MODES[32];
-    if (loFilter) loFilter.frequency.value = cfg.cutoff;
-    if (bitCrusher) bitCrusher.curve = makeCrusherCurve(cfg.quantize);
-    if (outputGain) outputGain.gain.value = cfg.gain;
-    if (delayWet) delayWet.gain.value = cfg.hasDelay ? 0.15 : 0;
-    if (reverbWet) reverbWet.gain.value = cfg.hasReverb ? 0.2 : 0;
-  }
-
-  function setBitMode(bits) {
-    applyBitMode(bits);
-  }
-
-  function getAllowedWaves(bits) {
-    return (BIT_MODES[bits] || BIT_MODES[32]).allowedWaves;
+  // The crusher settings a profile starts from
+  function crushDefaults(id) {
+    const cfg = profileOf(id);
+    return { depth: cfg.crushDepth, rate: cfg.crushRate };
+  }
+
+  // The delay and reverb sends a profile starts its channels with
+  function sendDefaults(id) {
+    const cfg = profileOf(id);
+    return { delay: cfg.hasDelay ? 0.15 : 0, reverb: cfg.hasReverb ? 0.2 : 0 };
+  }
+
+  function getProfiles() {
+    return Object.keys(PROFILES);
+  }
+
+  function getProfile(id) {
+    return profileOf(id);
+  }
+
+  // Song channels the profile can play; the rest stay silent
+  function getChannelLimit(id) {
+    return Math.min(State.channels.length, profileOf(id).channels);
+  }
+
+  // Channels a song can have on the profile
+  function getMaxChannels(id) {
+    return Math.min(Config.MAX_CHANNELS, profileOf(id).channels);
+  }
+
+  function getMaxPoly(id) {
+    return profileOf(id).maxPolyPerCh;
+  }
+
+  function getStereoModel(id) {
+    return profileOf(id).stereo;
+  }
+
+  // Final pan of a note: its own pan or the channel's, placed by the profile's stereo model
+  function stereoPan(channel, notePan, id) {
+    const pan = notePan === null || notePan === undefined ? channel.pan : notePan;
+    return STEREO_MODELS[getStereoModel(id)](pan);
+  }
+
+  // Waves the profile can make, on song channel `ch` when given
+  function getAllowedWaves(id, ch) {
+    const cfg = profileOf(id);
+    return (ch !== undefined && cfg.voiceWaves && cfg.voiceWaves[ch]) || cfg.allowedWaves;
+  }
+
+  // The profile's nearest duty to the one asked for
+  function clampDuty(duty, id) {
+    const duties = profileOf(id).duties;
+    return duties.reduce((best, d) => (Math.abs(d - duty) < Math.abs(best - duty) ? d : best));
+  }
+
+  // The 2A03 toggle only applies to the NES profile
+  function isAuthentic() {
+    return State.authentic && State.profile === 'nes';
+  }
+
+  // Noise from the LFSR: authentic 2A03 mode, or a chip whose noise always works that way
+  function usesLfsrNoise() {
+    return isAuthentic() || !!profileOf(State.profile).lfsrNoise;
   }
 
   function midiToFreq(midi) {
     return 440 * Math.pow(2, (midi - 69) / 12);
   }
 
-  function clampWaveType(waveType, bits) {
-    const cfg = BIT_MODES[bits] || BIT_MODES[32];
-    if (cfg.allowedWaves.includes(waveType)) return waveType;
-    return WAVE_FALLBACK[waveType] || 'square';
+  // A wave the profile (and its voice for song channel `ch`) can make: the one asked for, its
+  // WAVE_FALLBACK, or else the voice's first wave
+  function clampWaveType(waveType, id, ch) {
+    const allowed = getAllowedWaves(id, ch);
+    if (allowed.includes(waveType)) return waveType;
+    const fallback = WAVE_FALLBACK[waveType];
+    return fallback && allowed.includes(fallback) ? fallback : allowed[0];
   }
 
-  function playNote(channelIdx, midi, time, duration) {
-    const ch = State.channels[channelIdx];
-    if (ch.muted) return;
+  // --- Ricoh 2A03 tables, shared by live playback and the WAV export ---
+  const NES_CPU_CLOCK = 1789773; // NTSC
+  // Pulse sequencer: 8 steps, high for duty * 8 of them
+  const PULSE_STEPS = 8;
+  // Triangle sequencer: 32 steps of a 4-bit level, 15 down to 0 and back up
+  const TRIANGLE_STEPS = Array.from({ length: 32 }, (_, i) => (i < 16 ? 15 - i : i - 16));
+  // Noise timer periods in CPU cycles; the LFSR shifts once per period
+  const NOISE_PERIODS = [4, 8, 16, 32, 64, 96, 128, 160, 202, 254, 380, 508, 762, 1016, 2034, 4068];
+  // Bit XORed with bit 0 for the LFSR feedback: long mode cycles 32767 steps, short (metallic) mode 93
+  const LFSR_TAPS = { long: 1, short: 6 };
+  const NOISE_LOOP_SECONDS = 1;
+  const WAVE_HARMONICS = 128;
+
+  const lfsrCycles = {};
+  const sourceCache = new WeakMap(); // audio context → its periodic waves and noise buffers
+
+  function cacheFor(audioCtx) {
+    let cache = sourceCache.get(audioCtx);
+    if (!cache) sourceCache.set(audioCtx, cache = { waves: {}, noise: {} });
+    return cache;
+  }
 
-    // Check solo: if any channel is soloed, only play soloed channels
-    const anySolo = State.channels.some(c => c.solo);
-    if (anySolo && !ch.solo) return;
+  // Band-limited PeriodicWave of a stepped sequencer waveform: Fourier series of the levels,
+  // each held for an equal slice of the period, so the stair steps survive in the harmonics
+  function steppedWave(audioCtx, levels) {
+    const n = levels.length;
+    const real = new Float32Array(WAVE_HARMONICS);
+    const imag = new Float32Array(WAVE_HARMONICS);
+    for (let h = 1; h < WAVE_HARMONICS; h++) {
+      levels.forEach((level, k) => {
+        const a = 2 * Math.PI * h * k / n;
+        const b = 2 * Math.PI * h * (k + 1) / n;
+        real[h] += level * (Math.sin(b) - Math.sin(a)) / (Math.PI * h);
+        imag[h] += level * (Math.cos(a) - Math.cos(b)) / (Math.PI * h);
+      });
+    }
+    return audioCtx.createPeriodicWave(real, imag);
+  }
 
-    const gain = ctx.createGain();
-    gain.gain.setValueAtTime(ch.volume * 0.3, time);
-    gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
-    gain.connect(masterGain);
+  function getPulseWave(audioCtx, duty) {
+    const waves = cacheFor(audioCtx).waves;
+    const key = 'pulse' + duty;
+    if (!waves[key]) {
+      const high = Math.round(duty * PULSE_STEPS);
+      waves[key] = steppedWave(audioCtx, Array.from({ length: PULSE_STEPS }, (_, i) => (i < high ? 1 : 0)));
+    }
+    return waves[key];
+  }
 
-    // Enforce era-appropriate waveform
-    const wave = clampWaveType(ch.waveType, State.bitMode);
+  function getTriangleWave(audioCtx) {
+    const waves = cacheFor(audioCtx).waves;
+    if (!waves.triangle) waves.triangle = steppedWave(audioCtx, TRIANGLE_STEPS);
+    return waves.triangle;
+  }
 
-    if (wave === 'noise') {
-      const src = ctx.createBufferSource();
-      src.buffer = noiseBuffer;
-      // Use midi to vary playback rate for different "pitches"
-      src.playbackRate.value = midiToFreq(midi) / 440;
-      src.connect(gain);
-      src.start(time);
-      src.stop(time + duration);
-    } else {
-      const osc = ctx.createOscillator();
-      osc.type = wave;
-      osc.frequency.setValueAtTime(midiToFreq(midi), time);
-      osc.connect(gain);
-      osc.start(time);
-      osc.stop(time + duration);
+  // One full cycle of the 15-bit LFSR from its power-on value of 1; output is high while bit 0 is clear
+  function lfsrCycle(mode) {
+    if (!lfsrCycles[mode]) {
+      const bits = [];
+      let reg = 1;
+      do {
+        bits.push(reg & 1);
+        const feedback = (reg ^ (reg >> LFSR_TAPS[mode])) & 1;
+        reg = (reg >> 1) | (feedback << 14);
+      } while (reg !== 1);
+      lfsrCycles[mode] = Uint8Array.from(bits);
     }
+    return lfsrCycles[mode];
   }
 
-  function getStepDuration() {
-    return 60 / State.bpm / 4; // 16th notes
+  // Perc pitches map onto the 16 noise periods; higher notes shift the LFSR faster
+  function noisePeriodIndex(midi) {
+    const span = Config.MAX_NOTE - Config.MIN_NOTE;
+    const idx = Math.round((midi - Config.MIN_NOTE) * 15 / span);
+    return 15 - Math.max(0, Math.min(15, idx));
   }
 
-  function scheduleStep(step, time) {
-    const dur = getStepDuration() * 0.8;
-    const maxPoly = (BIT_MODES[State.bitMode] || BIT_MODES[32]).maxPolyPerCh;
-    for (let ch = 0; ch < 4; ch++) {
-      const notes = State.patterns[ch][step];
-      if (notes && notes.size > 0) {
-        let count = 0;
-        for (const midi of notes) {
-          if (count >= maxPoly) break;
-          playNote(ch, midi, time, dur);
-          count++;
-        }
+  // LFSR output sampled and held at the context rate. Whole cycles are looped so short mode keeps
+  // its pitch; long mode is capped at a second, far too long to hear the loop
+  function getLfsrNoise(audioCtx, periodIdx, mode) {
+    const noise = cacheFor(audioCtx).noise;
+    const key = mode + periodIdx;
+    if (!noise[key]) {
+      const cycle = lfsrCycle(mode);
+      const shiftRate = NES_CPU_CLOCK / NOISE_PERIODS[periodIdx];
+      const cycles = Math.max(1, Math.floor(shiftRate * NOISE_LOOP_SECONDS / cycle.length));
+      let shifts = cycle.length * cycles;
+      if (mode === 'long') shifts = Math.min(shifts, Math.ceil(shiftRate * NOISE_LOOP_SECONDS));
+      const length = Math.max(1, Math.round(shifts * audioCtx.sampleRate / shiftRate));
+      const buffer = audioCtx.createBuffer(1, length, audioCtx.sampleRate);
+      const data = buffer.getChannelData(0);
+      for (let i = 0; i < length; i++) {
+        data[i] = cycle[Math.floor(i * shiftRate / audioCtx.sampleRate) % cycle.length] ? -1 : 1;
       }
+      noise[key] = buffer;
     }
+    return noise[key];
   }
 
-  function scheduler() {
-    while (nextStepTime < ctx.currentTime + Config.LOOKAHEAD) {
-      scheduleStep(scheduledStep, nextStepTime);
+  function getWhiteNoise(audioCtx) {
+    const noise = cacheFor(audioCtx).noise;
+    if (!noise.white) {
+      const bufferSize = audioCtx.sampleRate * 2;
+      noise.white = audioCtx.createBuffer(1, bufferSize, audioCtx.sampleRate);
+      const data = noise.white.getChannelData(0);
+      for (let i = 0; i < bufferSize; i++) {
+        data[i] = Math.random() * 2 - 1;
+      }
+    }
+    return noise.white;
+  }
 
-      // Update UI playhead on main thread
-      const stepToShow = scheduledStep;
-      setTimeout(() => UI.updatePlayhead(stepToShow), 0);
+  // --- Wavetable channels (Game Boy wave channel, PC Engine) ---
+  const WAVETABLE_LENGTH = 32;
+  const WAVETABLE_SHAPES = {
+    triangle: x => 1 - 4 * Math.abs(x - 0.5),
+    sawtooth: x => 2 * x - 1,
+    sine: x => Math.sin(2 * Math.PI * x),
+  };
+
+  // A wave sampled into WAVETABLE_LENGTH steps at `depth` bits, as a chip's wave RAM holds it
+  function getWavetable(audioCtx, wave, depth) {
+    const waves = cacheFor(audioCtx).waves;
+    const key = wave + depth;
+    if (!waves[key]) {
+      const top = Math.pow(2, depth) - 1;
+      const levels = Array.from({ length: WAVETABLE_LENGTH }, (_, i) => {
+        return Math.round((WAVETABLE_SHAPES[wave](i / WAVETABLE_LENGTH) + 1) / 2 * top);
+      });
+      waves[key] = steppedWave(audioCtx, levels);
+    }
+    return waves[key];
+  }
 
-      nextStepTime += getStepDuration();
-      scheduledStep++;
+  // --- SID voice features ---
+  const PWM_RATE = 1.5;   // Hz of the pulse-width sweep
+  const PWM_DEPTH = 0.2;  // comparator threshold swing; ±10% duty
+  let comparatorCurve = null;
+
+  // A source built from several nodes, driven like a single oscillator: pitch effects go to the
+  // `pitched` oscillator and `output` is what gets connected
+  function compositeSource(pitched, output, parts) {
+    return {
+      detune: pitched.detune,
+      connect: destination => output.connect(destination),
+      start: time => parts.forEach(part => part.start(time)),
+      stop: time => parts.forEach(part => part.stop(time)),
+    };
+  }
 
-      if (scheduledStep >= Config.STEPS) {
-        if (State.looping) {
-          scheduledStep = 0;
-        } else {
-          stop();
-          return;
-        }
+  // Pulse-width modulation the analog way: a triangle against a moving threshold. The triangle is
+  // above 1 - 2 * duty for `duty` of each cycle; an LFO sweeps that threshold.
+  function pwmSource(audioCtx, midi, time, duty) {
+    if (!comparatorCurve) {
+      comparatorCurve = Float32Array.from({ length: 1024 }, (_, i) => (i < 512 ? -1 : 1));
+    }
+    const osc = audioCtx.createOscillator();
+    osc.type = 'triangle';
+    osc.frequency.setValueAtTime(midiToFreq(midi), time);
+    const threshold = audioCtx.createConstantSource();
+    threshold.offset.value = 2 * duty - 1;
+    const lfo = audioCtx.createOscillator();
+    lfo.frequency.value = PWM_RATE;
+    const depth = audioCtx.createGain();
+    depth.gain.value = PWM_DEPTH;
+    const comparator = audioCtx.createWaveShaper();
+    comparator.curve = comparatorCurve;
+    osc.connect(comparator);
+    threshold.connect(comparator);
+    lfo.connect(depth);
+    depth.connect(comparator);
+    return compositeSource(osc, comparator, [osc, threshold, lfo]);
+  }
+
+  // Ring mod: the triangle multiplied by a square at the modulating voice's pitch
+  function ringSource(audioCtx, midi, time, ringMidi) {
+    const carrier = audioCtx.createOscillator();
+    carrier.type = 'triangle';
+    carrier.frequency.setValueAtTime(midiToFreq(midi), time);
+    const modulator = audioCtx.createOscillator();
+    modulator.type = 'square';
+    modulator.frequency.setValueAtTime(midiToFreq(ringMidi), time);
+    const ring = audioCtx.createGain();
+    ring.gain.value = 0;
+    modulator.connect(ring.gain);
+    carrier.connect(ring);
+    return compositeSource(carrier, ring, [carrier, modulator]);
+  }
+
+  // Sound source for one note of a channel, started by the caller. Square waves are pulses at the
+  // channel's duty cycle; authentic 2A03 mode swaps in the stepped triangle, and the profile may
+  // add LFSR noise, wavetables, PWM or ring mod. ringMidi is the modulating voice's note.
+  function createSource(audioCtx, wave, midi, time, channel, ringMidi = midi) {
+    const profile = profileOf(State.profile);
+    if (wave === 'noise') {
+      const src = audioCtx.createBufferSource();
+      if (usesLfsrNoise()) {
+        src.buffer = getLfsrNoise(audioCtx, noisePeriodIndex(midi), channel.noiseMode);
+      } else {
+        src.buffer = getWhiteNoise(audioCtx);
+        // Use midi to vary playback rate for different "pitches"
+        src.playbackRate.value = midiToFreq(midi) / 440;
       }
+      src.loop = true; // long noise notes outlast the buffer
+      return src;
     }
+    const duty = clampDuty(channel.duty, State.profile);
+    if (wave === 'square' && profile.pwm) return pwmSource(audioCtx, midi, time, duty);
+    if (wave === 'triangle' && profile.ringMod && channel.ring) return ringSource(audioCtx, midi, time, ringMidi);
+    const osc = audioCtx.createOscillator();
+    if (wave === 'square') osc.setPeriodicWave(getPulseWave(audioCtx, duty));
+    else if (wave === 'triangle' && isAuthentic()) osc.setPeriodicWave(getTriangleWave(audioCtx));
+    else if (profile.wavetable) osc.setPeriodicWave(getWavetable(audioCtx, wave, profile.wavetable));
+    else osc.type = wave;
+    osc.frequency.setValueAtTime(midiToFreq(midi), time);
+    return osc;
   }
 
-  function play() {
-    init();
-    if (ctx.state === 'suspended') ctx.resume();
-    State.playing = true;
-    scheduledStep = State.currentStep;
-    nextStepTime = ctx.currentTime + 0.05;
-    schedulerTimer = setInterval(scheduler, Config.SCHEDULE_INTERVAL);
-    UI.onPlayStateChange();
+  // Hold the level (or slide it to endLevel), then decay over the last step of the note
+  // (the whole note if shorter)
+  function applyEnvelope(param, level, time, duration, endLevel = level, stepDur = getStepDuration()) {
+    const release = Math.min(duration, stepDur * 0.8);
+    param.setValueAtTime(level, time);
+    if (endLevel === level) param.setValueAtTime(level, time + duration - release);
+    else param.linearRampToValueAtTime(endLevel, time + duration - release);
+    param.exponentialRampToValueAtTime(0.001, time + duration);
   }
 
-  function stop() {
-    State.playing = false;
-    State.currentStep = 0;
-    if (schedulerTimer) {
-      clearInterval(schedulerTimer);
-      schedulerTimer = null;
+  // --- Tracker effects ---
+  const SLIDE_CENTS_PER_UNIT = 100 / 16; // 1xx/2xx/3xx: xx sixteenths of a semitone per tick
+  const MAX_SLIDE_CENTS = 4800;
+  const VIBRATO_CENTS_PER_DEPTH = 8;
+  const VOLUME_SLIDE_LEVELS = 15 * 8;    // Axy: eighths of one of the 15 volume levels per tick
+
+  // Pitch automation on the source's detune, in cents relative to the note
+  function applyPitchFx(audioCtx, src, fx, time, duration, tick, midi, fromMidi) {
+    const detune = src.detune;
+    if (fx.cmd === '0' && fx.value > 0) {
+      // Arpeggio: note, +x, +y semitones, one per tick
+      const offsets = [0, fx.x, fx.y];
+      for (let t = 0; t * tick < duration; t++) {
+        detune.setValueAtTime(offsets[t % 3] * 100, time + t * tick);
+      }
+    } else if ((fx.cmd === '1' || fx.cmd === '2' || fx.cmd === '3') && fx.value > 0) {
+      const centsPerSec = fx.value * SLIDE_CENTS_PER_UNIT / tick;
+      let from = 0, to = (fx.cmd === '1' ? 1 : -1) * MAX_SLIDE_CENTS;
+      // Portamento glides from the channel's previous note and stops on this one
+      if (fx.cmd === '3') {
+        if (fromMidi === undefined || fromMidi === midi) return;
+        from = (fromMidi - midi) * 100;
+        to = 0;
+      }
+      const glide = Math.min(duration, Math.abs(to - from) / centsPerSec);
+      detune.setValueAtTime(from, time);
+      detune.linearRampToValueAtTime(from + Math.sign(to - from) * centsPerSec * glide, time + glide);
+    } else if (fx.cmd === '4' && fx.x > 0 && fx.y > 0) {
+      // Vibrato: speed x/64 cycles per tick, depth y
+      const lfo = audioCtx.createOscillator();
+      const depth = audioCtx.createGain();
+      lfo.frequency.value = fx.x / 64 / tick;
+      depth.gain.value = fx.y * VIBRATO_CENTS_PER_DEPTH;
+      lfo.connect(depth);
+      depth.connect(detune);
+      lfo.start(time);
+      lfo.stop(time + duration);
     }
-    UI.onPlayStateChange();
   }
 
-  function getContext() {
-    init();
-    return ctx;
+  // Build, automate and start one note into destination. Live playback and the WAV export both
+  // schedule through here, so notes and their effects render the same in both.
+  // note: { midi, time, duration, stepDur, velocity, fx, fromMidi, ringMidi } — stepDur is the
+  // length of a step at the note's tempo, fromMidi the channel's previous note and ringMidi the
+  // note of the voice modulating it
+  function startVoice(audioCtx, destination, channel, wave, note) {
+    const { midi, velocity, fromMidi, stepDur } = note;
+    let { time, duration } = note;
+    const fx = Song.parseFx(note.fx);
+    const tick = stepDur / Config.FX_TICKS_PER_STEP;
+    if (fx && fx.cmd === 'G') {
+      const delay = Math.min(fx.value * tick, duration - tick);
+      time += delay;
+      duration -= delay;
+    }
+    if (fx && fx.cmd === 'S') duration = Math.max(tick, Math.min(duration, fx.value * tick));
+
+    const full = channel.volume * 0.3;
+    const level = full * velocityGain(velocity, State.profile);
+    // Drums ring for their own decay; only a note cut stops them early
+    if (channel.drumKit) return startDrum(audioCtx, destination, midi, time, level, fx && fx.cmd === 'S' ? duration : Infinity);
+    let endLevel = level;
+    if (fx && fx.cmd === 'A') {
+      const ticks = duration / tick;
+      endLevel = Math.max(0.001, Math.min(full, level + full * (fx.x - fx.y) * ticks / VOLUME_SLIDE_LEVELS));
+    }
+    const gain = audioCtx.createGain();
+    applyEnvelope(gain.gain, level, time, duration, endLevel, stepDur);
+    gain.connect(destination);
+
+    const src = createSource(audioCtx, wave, midi, time, channel, note.ringMidi);
+    if (fx) applyPitchFx(audioCtx, src, fx, time, duration, tick, midi, fromMidi);
+    src.connect(gain);
+    src.start(time);
+    src.stop(time + duration);
+    return { sources: [src], gain, end: time + duration };
   }
 
-  function getNoiseBuffer() {
-    init();
-    return noiseBuffer;
+  // --- Drum kit ---
+  // Each drum is a pitch-swept tone body and/or a noise burst, each part with its own decay.
+  // noise.period is the 2A03 noise period used in 8-bit mode; 16/32-bit high-pass it at cutoff instead.
+  const DRUM_VOICES = {
+    kick:      { tone: { from: 160, to: 45, sweep: 0.08, decay: 0.3, level: 1 }, noise: { period: 12, cutoff: 2000, decay: 0.02, level: 0.3 } },
+    tomLow:    { tone: { from: 130, to: 80, sweep: 0.2, decay: 0.35, level: 0.9 } },
+    tomMid:    { tone: { from: 190, to: 120, sweep: 0.18, decay: 0.3, level: 0.9 } },
+    snare:     { tone: { from: 220, to: 160, sweep: 0.05, decay: 0.1, level: 0.5 }, noise: { period: 6, cutoff: 1500, decay: 0.18, level: 0.8 } },
+    tomHigh:   { tone: { from: 260, to: 170, sweep: 0.15, decay: 0.25, level: 0.9 } },
+    hatClosed: { noise: { period: 1, cutoff: 7000, decay: 0.05, level: 0.5 } },
+    hatOpen:   { noise: { period: 1, cutoff: 7000, decay: 0.35, level: 0.45 } },
+    crash:     { noise: { period: 3, cutoff: 4000, decay: 1.2, level: 0.5 } },
+  };
+
+  // Rows outside the kit play its nearest piece at that piece's end row: the kick below, the crash above
+  function kitRow(midi) {
+    const kit = Config.DRUM_KIT;
+    return Math.max(kit[0].low, Math.min(kit[kit.length - 1].high, midi));
   }
 
-  return { init, play, stop, setBitMode, getAllowedWaves, clampWaveType, getContext, getNoiseBuffer, midiToFreq, getStepDuration };
-})();
+  function drumAt(midi) {
+    const row = kitRow(midi);
+    return Config.DRUM_KIT.find(drum => row >= drum.low && row <= drum.high);
+  }
 
-// === Style Presets ===
-const Presets = {
-  // --- Classic chip styles ---
-  'chiptune': {
-    label: 'Chiptune', scale: 'pentatonic', root: 0, bpm: 140, density: 55, progression: 'I-IV',
-    waves: ['square', 'triangle', 'sawtooth', 'noise'],
-    lead: { style: 'walk', jumpBias: [0.7, 0.2, 0.1], restChance: 0.1 },
-    bass: { style: 'root-fifth', octave: 'low' },
+  function decayEnvelope(param, level, time, decay) {
+    param.setValueAtTime(level, time);
+    param.exponentialRampToValueAtTime(0.001, time + decay);
+  }
+
+  // One drum hit into destination; like startVoice it serves both live playback and export.
+  // 8-bit profiles' drums stay on chip parts: triangle bodies and unfiltered chip noise
+  function startDrum(audioCtx, destination, midi, time, level, maxDuration) {
+    const kit = drumAt(midi);
+    const drum = DRUM_VOICES[kit.voice];
+    const chip = profileOf(State.profile).bits === 8;
+    const tune = Math.pow(2, (kitRow(midi) - kit.low) / 12);
+    const duration = Math.min(maxDuration, Math.max(drum.tone ? drum.tone.decay : 0, drum.noise ? drum.noise.decay : 0));
+
+    const gain = audioCtx.createGain();
+    gain.gain.setValueAtTime(level, time);
+    gain.connect(destination);
+    const sources = [];
+
+    if (drum.tone) {
+      const osc = audioCtx.createOscillator();
+      if (chip && isAuthentic()) osc.setPeriodicWave(getTriangleWave(audioCtx));
+      else osc.type = chip ? 'triangle' : 'sine';
+      osc.frequency.setValueAtTime(drum.tone.from * tune, time);
+      osc.frequency.exponentialRampToValueAtTime(drum.tone.to * tune, time + drum.tone.sweep);
+      const env = audioCtx.createGain();
+      decayEnvelope(env.gain, drum.tone.level, time, Math.min(drum.tone.decay, duration));
+      osc.connect(env);
+      env.connect(gain);
+      sources.push(osc);
+    }
+
+    if (drum.noise) {
+      const src = audioCtx.createBufferSource();
+      src.loop = true;
+      const env = audioCtx.createGain();
+      decayEnvelope(env.gain, drum.noise.level, time, Math.min(drum.noise.decay, duration));
+      if (chip && usesLfsrNoise()) {
+        src.buffer = getLfsrNoise(audioCtx, drum.noise.period, 'long');
+        src.connect(env);
+      } else if (chip) {
+        // Slower playback of the white noise darkens it like a longer noise period
+        src.buffer = getWhiteNoise(audioCtx);
+        src.playbackRate.value = Math.min(1, NES_CPU_CLOCK / NOISE_PERIODS[drum.noise.period] / audioCtx.sampleRate);
+        src.connect(env);
+      } else {
+        src.buffer = getWhiteNoise(audioCtx);
+        const filter = audioCtx.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.value = drum.noise.cutoff;
+        src.connect(filter);
+        filter.connect(env);
+      }
+      env.connect(gain);
+      sources.push(src);
+    }
+
+    sources.forEach(src => {
+      src.start(time);
+      src.stop(time + duration);
+    });
+    return { sources, gain, end: time + duration };
+  }
+
+  // Long notes overlap later ones; once a channel is out of voices the oldest note is cut
+  function claimVoice(channelVoices, time, maxPoly) {
+    for (let i = channelVoices.length - 1; i >= 0; i--) {
+      if (channelVoices[i].end <= time) channelVoices.splice(i, 1);
+    }
+    while (channelVoices.length >= maxPoly) {
+      const voice = channelVoices.shift();
+      voice.gain.gain.cancelScheduledValues(time);
+      voice.gain.gain.setTargetAtTime(0, time, 0.005);
+      voice.sources.forEach(src => src.stop(time + 0.03));
+    }
+  }
+
+  // Note gain from velocity, stepped through the profile's volume register (the NES has 16 levels)
+  function velocityGain(velocity, id) {
+    const profile = profileOf(id);
+    const level = velocity / 127;
+    if (!profile.volumeSteps) return level;
+    if (profile.volumeDb) {
+      // Attenuation register: the loudest setting is 0 dB, the last one is silence
+      const steps = Math.round(-20 * Math.log10(level) / profile.volumeDb);
+      return Math.pow(10, -Math.min(profile.volumeSteps - 1, steps) * profile.volumeDb / 20);
+    }
+    // Volume 0 is silence on the chips, so the quietest note still gets level 1
+    return Math.max(1, Math.round(level * profile.volumeSteps)) / profile.volumeSteps;
+  }
+
+  function playNote(g, channelIdx, note) {
+    const ch = State.channels[channelIdx];
+    if (ch.muted) return;
+
+    // Check solo: if any channel is soloed, only play soloed channels
+    const anySolo = State.channels.some(c => c.solo);
+    if (anySolo && !ch.solo) return;
+
+    const strip = stripAt(g, channelIdx);
+    claimVoice(g.voices[channelIdx], note.time, getMaxPoly(State.profile));
+
+    // Enforce the chip's waveforms
+    const wave = clampWaveType(ch.waveType, State.profile, channelIdx);
+    strip.panner.pan.setValueAtTime(stereoPan(ch, note.pan, State.profile), note.time);
+    if (ch.fx.filter !== 'off' && ch.fx.sweep !== 0) sweepFilter(g.ctx, strip.filter, ch.fx, note.time, note.duration);
+    g.voices[channelIdx].push(startVoice(g.ctx, strip.input, ch, wave, note));
+  }
+
+  // Filter sweep: each note's cutoff starts `sweep` semitones away and glides back over the note
+  function sweepFilter(audioCtx, filter, fx, time, duration) {
+    const { min, max } = Config.FX_RANGES.cutoff;
+    const top = Math.min(max, audioCtx.sampleRate / 2);
+    const from = Math.max(min, Math.min(top, fx.cutoff * Math.pow(2, fx.sweep / 12)));
+    filter.frequency.cancelScheduledValues(time);
+    filter.frequency.setValueAtTime(from, time);
+    filter.frequency.exponentialRampToValueAtTime(Math.min(top, fx.cutoff), time + Math.max(0.001, duration));
+  }
+
+  function getStepDuration(bpm = State.bpm) {
+    return 60 / bpm / 4; // 16th notes
+  }
+
+  // Seconds from step `from` to step `to` of a pattern, following its tempo map
+  function spanDuration(pattern, from, to) {
+    let seconds = 0;
+    for (let step = from; step < to; step++) seconds += getStepDuration(Song.tempoAt(pattern, step));
+    return seconds;
+  }
+
+  // Seconds one pass through a sequence of bank indices takes
+  function songDuration(sequence) {
+    return sequence.reduce((sum, patternIdx) => sum + spanDuration(State.bank[patternIdx], 0, State.steps), 0);
+  }
+
+  // Seconds a note sounds: its length minus a short gap before the next step
+  function getNoteDuration(seconds, stepDur = getStepDuration()) {
+    return seconds - 0.2 * stepDur;
+  }
+
+  function scheduleStep(g, pattern, step, time) {
+    const maxPoly = getMaxPoly(State.profile);
+    const channels = getChannelLimit(State.profile);
+    const stepDur = getStepDuration(Song.tempoAt(pattern, step));
+    // The groove shifts when notes sound; the grid position (and playhead) stays on the beat
+    syncDelay(g, stepDur, time);
+    // A negative offset never pulls a note before the context's clock (step 0 of an export
+    // starts at 0), where scheduling it would throw
+    const shift = Math.max(grooveOffset(step) * stepDur, g.ctx.currentTime - time);
+    time += shift;
+    for (let ch = 0; ch < channels; ch++) {
+      const cells = pattern.patterns[ch];
+      const notes = cells[step];
+      if (notes && notes.size > 0) {
+        let count = 0;
+        for (const midi of notes.keys()) {
+          if (count >= maxPoly) break;
+          // A tied note keeps sounding from the previous one instead of retriggering
+          if (Song.isTiedInto(cells, step, midi)) continue;
+          const { velocity, fx, pan } = notes.get(midi);
+          // Notes end where the tempo map and groove put their end step, keeping the release gap
+          const end = step + Song.noteSpan(cells, step, midi);
+          const length = spanDuration(pattern, step, end);
+          const endShift = grooveOffset(end) * getStepDuration(Song.tempoAt(pattern, end));
+          const duration = getNoteDuration(Math.max(length / 2, length + endShift - shift), stepDur);
+          // Like the SID, each voice is ring-modulated by the one before it (the first by the last)
+          const ringMidi = g.lastMidi[(ch + channels - 1) % channels];
+          playNote(g, ch, { midi, time, duration, stepDur, velocity, fx, pan, fromMidi: g.lastMidi[ch], ringMidi });
+          g.lastMidi[ch] = midi;
+          count++;
+        }
+      }
+    }
+  }
+
+  // How late `step` plays under a groove, as a fraction of a step. The cycle restarts every bar
+  // so odd-length bars (7/8) still land their downbeats on time.
+  function grooveOffset(step, groove = State.groove) {
+    const pos = step % Song.barSteps();
+    if (groove.template === 'custom') return groove.offsets[pos % groove.offsets.length];
+    const shape = Config.GROOVES[groove.template].shape;
+    return shape[pos % shape.length] * (groove.swing * 2 / 100 - 1);
+  }
+
+  // A song position to schedule from: order entry, step within its pattern, and when that step sounds
+  function createCursor(sequence, time, step = 0) {
+    return { sequence, pos: 0, step, time };
+  }
+
+  // Schedule every step that starts before `to` (seconds on the graph's clock) and advance the
+  // cursor past them. At the end of the song it wraps when `loop` is set (picking up order list
+  // edits); otherwise it returns false. onStep(step, patternIdx, time) follows each scheduled step.
+  function scheduleNotes(g, at, to, { loop = false, onStep = null } = {}) {
+    while (at.time < to) {
+      const patternIdx = at.sequence[at.pos];
+      const pattern = State.bank[patternIdx] || State.bank[State.editPattern];
+      scheduleStep(g, pattern, at.step, at.time);
+      if (onStep) onStep(at.step, patternIdx, at.time);
+      at.time += getStepDuration(Song.tempoAt(pattern, at.step));
+      at.step++;
+
+      // End of pattern: advance through the song, then loop or stop at its end
+      if (at.step >= State.steps) {
+        at.step = 0;
+        at.pos++;
+        if (at.pos >= at.sequence.length) {
+          if (!loop) return false;
+          at.sequence = Song.sequence();
+          at.pos = 0;
+        }
+      }
+    }
+    return true;
+  }
+
+  function scheduler() {
+    const more = scheduleNotes(graph, cursor, ctx.currentTime + Config.LOOKAHEAD, {
+      loop: State.looping,
+      // Update UI playhead on main thread
+      onStep: (step, patternIdx) => setTimeout(() => UI.updatePlayhead(step, patternIdx), 0),
+    });
+    if (!more) stop();
+  }
+
+  function play() {
+    init();
+    if (ctx.state === 'suspended') ctx.resume();
+    State.playing = true;
+    graph.voices = graph.voices.map(() => []);
+    graph.lastMidi = [];
+    cursor = createCursor(Song.sequence(), ctx.currentTime + 0.05, State.currentStep);
+    restartFx(graph, cursor.time);
+    schedulerTimer = setInterval(scheduler, Config.SCHEDULE_INTERVAL);
+    UI.onPlayStateChange();
+  }
+
+  function stop() {
+    State.playing = false;
+    State.currentStep = 0;
+    if (schedulerTimer) {
+      clearInterval(schedulerTimer);
+      schedulerTimer = null;
+    }
+    UI.onPlayStateChange();
+  }
+
+  function getContext() {
+    init();
+    return ctx;
+  }
+
+  function getNoiseBuffer() {
+    init();
+    return getWhiteNoise(ctx);
+  }
+
+  return { init, play, stop, setProfile, setCrush, setFx, crushDefaults, sendDefaults, getProfiles, getProfile, getChannelLimit, getMaxChannels, getMaxPoly,
+    getStereoModel, stereoPan, getAllowedWaves, clampWaveType, clampDuty, usesLfsrNoise, createSource, startVoice, drumAt, noisePeriodIndex,
+    buildGraph, grooveOffset, createCursor, scheduleNotes, getContext, getNoiseBuffer, midiToFreq, getStepDuration, spanDuration,
+    songDuration, getNoteDuration, applyEnvelope, claimVoice, velocityGain };
+})();
+
+// === Style Presets ===
+const Presets = {
+  // --- Classic chip styles ---
+  'chiptune': {
+    label: 'Chiptune', scale: 'pentatonic', root: 0, bpm: 140, density: 55, progression: 'I-IV',
+    waves: ['square', 'triangle', 'sawtooth', 'noise'],
+    duties: [0.5, 0.5, 0.25, 0.5],
+    lead: { style: 'walk', jumpBias: [0.7, 0.2, 0.1], restChance: 0.1 },
+    bass: { style: 'root-fifth', octave: 'low' },
     arp:  { style: 'cycle', modes: ['up','pingpong'], speed: 1 },
     perc: { kick: [0,4], snare: [2,6], hihat: 'eighths', fillChance: 0.15 },
   },
@@ -355,7 +1607,8 @@ const Presets = {
     lead: { style: 'swing', jumpBias: [0.5, 0.3, 0.2], restChance: 0.35 },
     bass: { style: 'walking', octave: 'low' },
     arp:  { style: 'comping', modes: ['up','pingpong'], speed: 1 },
-    perc: { kick: [0,5], snare: [3,7], hihat: 'swing', fillChance: 0.2 },
+    perc: { kick: [0,5], snare: [3,7], hihat: 'eighths', fillChance: 0.2 },
+    groove: { template: 'shuffle', swing: 66 },
   },
   'rock': {
     label: 'Rock', scale: 'blues', root: 4, bpm: 128, density: 60, progression: 'I-IV-V-I',
@@ -388,6 +1641,7 @@ const Presets = {
     bass: { style: 'syncopated', octave: 'low' },
     arp:  { style: 'comping', modes: ['up','pingpong'], speed: 1 },
     perc: { kick: [0,3,4,7], snare: [2,6], hihat: 'sixteenths', fillChance: 0.3 },
+    groove: { template: 'mpc', swing: 58 },
   },
   'march': {
     label: 'March', scale: 'major', root: 2, bpm: 120, density: 58, progression: 'I-IV-I-V',
@@ -426,6 +1680,7 @@ const Presets = {
   'zelda': {
     label: 'Zelda', scale: 'major', root: 2, bpm: 126, density: 52, progression: 'I-vi-IV-V',
     waves: ['square', 'triangle', 'square', 'noise'],
+    duties: [0.5, 0.5, 0.25, 0.5],
     lead: { style: 'melodic', jumpBias: [0.6, 0.25, 0.15], restChance: 0.15 },
     bass: { style: 'root-fifth', octave: 'low' },
     arp:  { style: 'fanfare', modes: ['up','pingpong'], speed: 1 },
@@ -442,6 +1697,7 @@ const Presets = {
   'megaman': {
     label: 'Mega Man', scale: 'minor', root: 4, bpm: 168, density: 75, progression: 'I-III-IV-V',
     waves: ['square', 'square', 'sawtooth', 'noise'],
+    duties: [0.25, 0.5, 0.5, 0.5],
     lead: { style: 'heroic', jumpBias: [0.3, 0.3, 0.4], restChance: 0.05 },
     bass: { style: 'driving-eighths', octave: 'low' },
     arp:  { style: 'cycle', modes: ['up','down'], speed: 2 },
@@ -450,6 +1706,7 @@ const Presets = {
   'castlevania': {
     label: 'Castlevania', scale: 'harmonicMinor', root: 9, bpm: 148, density: 65, progression: 'i-VI-III-VII',
     waves: ['square', 'triangle', 'sawtooth', 'noise'],
+    duties: [0.125, 0.5, 0.25, 0.5],
     lead: { style: 'trill', jumpBias: [0.4, 0.3, 0.3], restChance: 0.08 },
     bass: { style: 'driving-eighths', octave: 'low' },
     arp:  { style: 'octave-arp', modes: ['up'], speed: 2 },
@@ -466,6 +1723,7 @@ const Presets = {
   'kirby': {
     label: 'Kirby', scale: 'major', root: 5, bpm: 152, density: 58, progression: 'I-ii-IV-V',
     waves: ['square', 'triangle', 'square', 'noise'],
+    duties: [0.25, 0.5, 0.125, 0.5],
     lead: { style: 'stepwise', jumpBias: [0.7, 0.2, 0.1], restChance: 0.1 },
     bass: { style: 'root-fifth', octave: 'low' },
     arp:  { style: 'cycle', modes: ['up','pingpong'], speed: 1 },
@@ -564,7 +1822,7 @@ const Presets = {
 // === Generator ===
 const Generator = (() => {
   // --- Chord progression definitions ---
-  // Each chord: { degree (0-based scale degree), type, steps (duration out of 100) }
+  // Each chord: { degree (0-based scale degree), type, steps (share of the pattern, out of 100) }
   const PROGRESSIONS = {
     'I-IV': [
       { degree: 0, type: 'triad', steps: 50 },
@@ -701,13 +1959,41 @@ const Generator = (() => {
     return notes;
   }
 
-  function pick(arr) { return arr[Math.floor(Math.random() * arr.length)]; }
+  // Seedable PRNG (mulberry32): every generator draws from rng so a seed reproduces a pattern exactly
+  function createRng(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function newSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+  }
+
+  let rng = createRng(0);
+
+  function pick(arr) { return arr[Math.floor(rng() * arr.length)]; }
   function wrapIdx(idx, len) { return ((idx % len) + len) % len; }
 
-  function isStrongBeat(step) { return step % 4 === 0; }
-  function isPhraseBoundary(step) { return step % 16 === 0; }
+  // --- Meter helpers: beats and phrases follow State.timeSig ---
+  function isStrongBeat(step) { return Song.beatAt(step).offset === 0; }
+  function isPhraseBoundary(step) { return step % Song.barSteps() === 0; }
+  function barOf(step) { return Math.floor(step / Song.barSteps()); }
+
+  // Position (0-7) within a two-beat cell, the unit preset rhythms are written in.
+  // The extra 16ths of a dotted beat (6/8, 7/8) have no slot and return -1.
+  function cellPos(step) {
+    const { beat, offset } = Song.beatAt(step);
+    return offset < 4 ? (beat % 2) * 4 + offset : -1;
+  }
 
-  // Build chord map: array[100] where each entry has { rootMidi, tones[], degree }
+  // Build chord map: one entry per step, each { rootPc, tones[], degree }.
+  // Chord changes land on bar lines, or on beats when there are more chords than bars.
   function buildChordMap(scaleName, root, progressionKey) {
     const intervals = Config.SCALES[scaleName];
     const prog = PROGRESSIONS[progressionKey] || PROGRESSIONS['I-IV-V-I'];
@@ -732,24 +2018,87 @@ const Generator = (() => {
       return { rootPc: r % 12, tones };
     }
 
-    const map = new Array(Config.STEPS);
+    const steps = State.steps;
+    const beatStarts = [];
+    for (let s = 0; s < steps; s++) {
+      if (isStrongBeat(s)) beatStarts.push(s);
+    }
+    const beatsPerBar = Config.METERS[State.timeSig].length;
+    const byBar = State.bars >= prog.length;
+    const units = byBar ? State.bars : beatStarts.length;
+    const unitStart = u => (u >= units ? steps : beatStarts[byBar ? u * beatsPerBar : u]);
+
+    const map = new Array(steps);
+    let share = 0;
     let pos = 0;
     for (const chord of prog) {
       const { rootPc, tones } = buildChordTones(chord.degree, chord.type);
-      const end = pos + chord.steps;
-      for (let s = pos; s < end && s < Config.STEPS; s++) {
+      share += chord.steps;
+      const end = unitStart(Math.round(share / 100 * units));
+      for (let s = pos; s < end; s++) {
         map[s] = { rootPc, tones, degree: chord.degree };
       }
-      pos = end;
+      pos = Math.max(pos, end);
     }
     // Fill any remaining steps with last chord
     const last = map[pos - 1] || map[0];
-    for (let s = pos; s < Config.STEPS; s++) {
+    for (let s = pos; s < steps; s++) {
       map[s] = last;
     }
     return map;
   }
 
+  // Velocities for generated notes; ghosts are soft perc hits between the main groove, pads sit under the parts
+  const ACCENT = { downbeat: 120, beat: 104, offbeat: 84, ghost: 44, leap: 127, pad: 72 };
+
+  // Metric accents for notes the generator left at the default velocity
+  function accentNotes(pattern) {
+    pattern.forEach((cell, step) => cell.forEach(note => {
+      if (note.velocity !== Song.DEFAULT_VELOCITY) return;
+      if (isPhraseBoundary(step)) note.velocity = ACCENT.downbeat;
+      else if (isStrongBeat(step)) note.velocity = ACCENT.beat;
+      else note.velocity = ACCENT.offbeat;
+    }));
+  }
+
+  // Tracker effects for the lead styles that suit them; rolled after every note is placed so
+  // switching effects off leaves the same seed's melody untouched
+  function addLeadEffects(pattern, style) {
+    pattern.forEach((cell, step) => cell.forEach(note => {
+      if (style === 'floating') {
+        // Slow, wide vibrato on held notes; shorter ones fade out
+        if (note.length >= 4 && rng() < 0.6) note.fx = '434';
+        else if (note.length >= 2 && rng() < 0.3) note.fx = 'A02';
+      } else if (style === 'heroic') {
+        // Leaps either scoop up from the previous note or shimmer
+        if (note.velocity !== ACCENT.leap) return;
+        const r = rng();
+        if (r < 0.4) note.fx = '318';
+        else if (r < 0.7) note.fx = '463';
+      } else if (style === 'trill') {
+        // Octave-and-fifth arpeggio chords at phrase starts
+        if (isPhraseBoundary(step) && rng() < 0.7) note.fx = '07C';
+      }
+    }));
+  }
+
+  // Let each note ring until the next one starts, up to maxLength steps.
+  // tieRepeats ties a note into the same pitch when it comes straight after.
+  function sustainNotes(pattern, maxLength, tieRepeats = false) {
+    let prev = -1;
+    for (let step = 0; step <= pattern.length; step++) {
+      if (step < pattern.length && pattern[step].size === 0) continue;
+      if (prev >= 0) {
+        const gap = step - prev;
+        pattern[prev].forEach((note, midi) => {
+          note.length = Math.min(gap, maxLength);
+          note.tie = tieRepeats && gap <= maxLength && step < pattern.length && pattern[step].has(midi);
+        });
+      }
+      prev = step;
+    }
+  }
+
   // Snap index to nearest chord tone in the scale notes array
   function snapToChordTone(idx, notes, chord) {
     const tones = chord.tones;
@@ -774,10 +2123,9 @@ const Generator = (() => {
   }
 
   // --- Lead generator ---
-  function generateLead(scale, root, density, style, chordMap) {
+  function generateLead(pattern, scale, root, density, style, chordMap) {
     const notes = getScaleNotes(scale, root);
     if (notes.length === 0) return;
-    const pattern = State.patterns[0];
     const bias = style.jumpBias || [0.7, 0.2, 0.1];
     let idx = Math.floor(notes.length / 2);
     let direction = 1; // for stepwise
@@ -787,79 +2135,78 @@ const Generator = (() => {
 
     // A/B phrase structure: nudge center for variety
     function phraseCenter(step) {
-      const phrase32 = Math.floor(step / 32);
-      // Alternate: A phrases center lower, B phrases center higher
-      const offset = (phrase32 % 2 === 0) ? -2 : 2;
+      const phrase = Math.floor(barOf(step) / 2);
+      // Alternate two-bar phrases: A phrases center lower, B phrases center higher
+      const offset = (phrase % 2 === 0) ? -2 : 2;
       return Math.floor(notes.length / 2) + offset;
     }
 
-    for (let step = 0; step < Config.STEPS; step++) {
+    for (let step = 0; step < State.steps; step++) {
       pattern[step].clear();
 
       // Rest chance
-      if (Math.random() < (style.restChance || 0.1)) continue;
-      if (Math.random() * 100 > density) continue;
+      if (rng() < (style.restChance || 0.1)) continue;
+      if (rng() * 100 > density) continue;
 
       const chord = chordMap[step];
 
       // Repeat style: hold note for fixed duration then jump
       if (style.style === 'repeat') {
         if (step >= repeatHoldEnd) {
-          const r = Math.random();
+          const r = rng();
           let jump = r < 0.5 ? pick([-2,-1,1,2]) : pick([-4,-3,3,4]);
           idx = wrapIdx(idx + jump, notes.length);
-          repeatHoldEnd = step + 2 + Math.floor(Math.random() * 3);
+          repeatHoldEnd = step + 2 + Math.floor(rng() * 3);
         }
       }
       // Syncopated: off-beat emphasis
       else if (style.style === 'syncopated') {
-        if (step % 2 === 0 && Math.random() < 0.4) continue;
-        const r = Math.random();
+        if (step % 2 === 0 && rng() < 0.4) continue;
+        const r = rng();
         let jump = r < bias[0] ? pick([-1,1]) : r < bias[0]+bias[1] ? pick([-2,2]) : pick([-3,-2,2,3]);
         idx = wrapIdx(idx + jump, notes.length);
       }
-      // Swing: dotted rhythm feel
+      // Swing: stepwise moves with wide leaps; the preset's groove supplies the swung timing
       else if (style.style === 'swing') {
-        if (step % 4 === 2 && Math.random() < 0.5) continue;
-        const r = Math.random();
+        const r = rng();
         let jump = r < bias[0] ? pick([-1,1]) : pick([-3,-2,2,3]);
         idx = wrapIdx(idx + jump, notes.length);
       }
       // Creep: small moves with occasional leaps
       else if (style.style === 'creep') {
-        const r = Math.random();
+        const r = rng();
         let jump = r < 0.5 ? pick([-1,1]) : r < 0.8 ? pick([-2,2]) : pick([-5,-4,4,5]);
         idx = wrapIdx(idx + jump, notes.length);
       }
       // Sparse: mostly rests with long notes
       else if (style.style === 'sparse') {
-        if (step % 8 !== 0 && Math.random() < 0.7) continue;
-        const r = Math.random();
+        if (cellPos(step) !== 0 && rng() < 0.7) continue;
+        const r = rng();
         let jump = r < bias[0] ? pick([-1,0,1]) : pick([-2,2]);
         idx = wrapIdx(idx + jump, notes.length);
       }
       // Stepwise: march-like scalar runs
       else if (style.style === 'stepwise') {
-        if (step % 4 === 0) {
-          direction = Math.random() < 0.5 ? 1 : -1;
+        if (isStrongBeat(step)) {
+          direction = rng() < 0.5 ? 1 : -1;
         }
         idx = wrapIdx(idx + direction, notes.length);
       }
       // Melodic: lyrical, longer phrases with A/B structure
       else if (style.style === 'melodic') {
-        if (step % 8 < 2) {
+        if ([0, 1].includes(cellPos(step))) {
           const center = phraseCenter(step);
           idx = wrapIdx(center + pick([-2,-1,0,1,2]), notes.length);
         } else {
-          const r = Math.random();
+          const r = rng();
           let jump = r < bias[0] ? pick([-1,1]) : r < bias[0]+bias[1] ? pick([-2,2]) : 0;
           idx = wrapIdx(idx + jump, notes.length);
         }
       }
       // Floating: Minecraft-style, sparse dreamy notes with large gentle intervals
       else if (style.style === 'floating') {
-        if (step % 4 !== 0 && Math.random() < 0.6) continue;
-        const r = Math.random();
+        if (!isStrongBeat(step) && rng() < 0.6) continue;
+        const r = rng();
         let jump = r < 0.4 ? pick([-2,-1,1,2]) : r < 0.7 ? pick([-4,-3,3,4]) : pick([-5,5]);
         idx = wrapIdx(idx + jump, notes.length);
       }
@@ -874,90 +2221,93 @@ const Generator = (() => {
       }
       // Trill: rapid alternation between two adjacent notes
       else if (style.style === 'trill') {
-        if (step % 16 === 0) {
+        if (isPhraseBoundary(step)) {
           idx = wrapIdx(idx + pick([-3,-2,2,3]), notes.length);
         }
         const alt = (step % 2 === 0) ? 0 : 1;
         const trillIdx = wrapIdx(idx + alt, notes.length);
-        pattern[step].add(notes[trillIdx]);
+        Song.putNote(pattern[step], notes[trillIdx]);
         continue; // skip the add at end
       }
-      // Call-response: 4 steps of melody, 4 steps of echo shifted
+      // Call-response: one beat of melody, one beat of echo shifted
       else if (style.style === 'call-response') {
-        const phrase = step % 8;
-        if (phrase < 4) {
-          const r = Math.random();
+        if (Song.beatAt(step).beat % 2 === 0) {
+          const r = rng();
           let jump = r < bias[0] ? pick([-1,1]) : pick([-2,2]);
           idx = wrapIdx(idx + jump, notes.length);
         } else {
           // Echo the call shifted up/down
-          const shift = (Math.floor(step / 16) % 2 === 0) ? 2 : -2;
+          const shift = (barOf(step) % 2 === 0) ? 2 : -2;
           idx = wrapIdx(idx + shift + pick([-1,0,0,1]), notes.length);
         }
       }
       // Cascade: descending runs that reset at phrase boundaries
       else if (style.style === 'cascade') {
-        if (step % 16 === 0) {
-          idx = Math.min(notes.length - 1, Math.floor(notes.length * 0.8) + Math.floor(Math.random() * 3));
+        if (isPhraseBoundary(step)) {
+          idx = Math.min(notes.length - 1, Math.floor(notes.length * 0.8) + Math.floor(rng() * 3));
         }
         idx = wrapIdx(idx - 1, notes.length);
       }
       // Default walk
       else {
-        const r = Math.random();
+        const r = rng();
         let jump;
         if (r < bias[0]) jump = pick([-1, 1]);
         else if (r < bias[0] + bias[1]) jump = pick([-2, 2]);
-        else jump = Math.floor(Math.random() * 7) - 3;
+        else jump = Math.floor(rng() * 7) - 3;
         idx = wrapIdx(idx + jump, notes.length);
       }
 
       // Chord targeting: snap to chord tones on strong beats and phrase starts
-      if (isPhraseBoundary(step) && Math.random() < 0.8) {
+      if (isPhraseBoundary(step) && rng() < 0.8) {
         idx = snapToChordTone(idx, notes, chord);
-      } else if (isStrongBeat(step) && Math.random() < 0.5) {
+      } else if (isStrongBeat(step) && rng() < 0.5) {
         idx = snapToChordTone(idx, notes, chord);
       }
 
       // A/B phrase: gently pull toward phrase center
-      if (step % 32 === 0) {
+      if (isPhraseBoundary(step) && barOf(step) % 2 === 0) {
         const center = phraseCenter(step);
         const pull = center > idx ? 1 : center < idx ? -1 : 0;
         idx = wrapIdx(idx + pull, notes.length);
       }
 
-      pattern[step].add(notes[idx]);
+      Song.putNote(pattern[step], notes[idx]);
+      // Heroic leaps land hard
+      if (style.style === 'heroic' && isStrongBeat(step)) pattern[step].get(notes[idx]).velocity = ACCENT.leap;
     }
+
+    // Dreamy and sparse leads hold their notes across the rests
+    if (style.style === 'floating' || style.style === 'sparse') sustainNotes(pattern, 8);
   }
 
   // --- Bass generator ---
-  function generateBass(scale, root, density, style, chordMap) {
+  function generateBass(pattern, scale, root, density, style, chordMap) {
     const notes = getScaleNotes(scale, root).filter(n => n < 60);
     if (notes.length === 0) return;
-    const pattern = State.patterns[1];
 
-    for (let step = 0; step < Config.STEPS; step++) {
+    for (let step = 0; step < State.steps; step++) {
       pattern[step].clear();
     }
 
     if (style.style === 'driving-eighths') {
-      for (let step = 0; step < Config.STEPS; step++) {
-        if (Math.random() * 100 > density * 1.5) continue;
+      for (let step = 0; step < State.steps; step++) {
+        if (rng() * 100 > density * 1.5) continue;
         const chord = chordMap[step];
         const note = findBassNote(notes, chord.rootPc);
         // Chromatic approach at chord changes
         if (step > 0 && chordMap[step - 1].rootPc !== chord.rootPc && step % 2 === 1) {
-          const approach = note + (Math.random() < 0.5 ? 1 : -1);
-          if (approach >= Config.MIN_NOTE) pattern[step].add(approach);
-          else pattern[step].add(note);
-        } else if (step % 2 === 0 || Math.random() < 0.6) {
-          pattern[step].add(note);
+          const approach = note + (rng() < 0.5 ? 1 : -1);
+          if (approach >= Config.MIN_NOTE) Song.putNote(pattern[step], approach);
+          else Song.putNote(pattern[step], note);
+        } else if (step % 2 === 0 || rng() < 0.6) {
+          Song.putNote(pattern[step], note);
         }
       }
     } else if (style.style === 'walking') {
       let idx = 0;
-      for (let step = 0; step < Config.STEPS; step++) {
-        if (step % 2 !== 0 && Math.random() < 0.3) continue;
+      for (let step = 0; step < State.steps; step++) {
+        if (step % 2 !== 0 && rng() < 0.3) continue;
         const chord = chordMap[step];
         // On chord changes, target the new root
         if (step > 0 && chordMap[step - 1].rootPc !== chord.rootPc) {
@@ -966,102 +2316,103 @@ const Generator = (() => {
           if (targetIdx >= 0) idx = targetIdx;
           // Chromatic approach: play a half-step below on previous step
           if (step > 0 && pattern[step - 1].size === 0) {
-            pattern[step - 1].add(target - 1);
+            Song.putNote(pattern[step - 1], target - 1);
           }
         }
-        pattern[step].add(notes[idx]);
-        const jump = Math.random() < 0.7 ? pick([-1,1]) : pick([-2,2]);
+        Song.putNote(pattern[step], notes[idx]);
+        const jump = rng() < 0.7 ? pick([-1,1]) : pick([-2,2]);
         idx = wrapIdx(idx + jump, notes.length);
       }
     } else if (style.style === 'drone') {
-      for (let step = 0; step < Config.STEPS; step++) {
+      for (let step = 0; step < State.steps; step++) {
         const chord = chordMap[step];
         const rootNote = findBassNote(notes, chord.rootPc);
-        if (step % 4 === 0) {
-          pattern[step].add(rootNote);
-        } else if (step % 8 === 4 && Math.random() < 0.3) {
+        if (isStrongBeat(step)) {
+          Song.putNote(pattern[step], rootNote);
+        } else if (cellPos(step) === 4 && rng() < 0.3) {
           const fifthPc = chord.tones[2] !== undefined ? chord.tones[2] : chord.rootPc;
-          pattern[step].add(findBassNote(notes, fifthPc));
+          Song.putNote(pattern[step], findBassNote(notes, fifthPc));
         }
       }
+      // One sustained tone per chord: repeated roots are tied together
+      sustainNotes(pattern, State.steps, true);
     } else if (style.style === 'syncopated') {
-      for (let step = 0; step < Config.STEPS; step++) {
+      for (let step = 0; step < State.steps; step++) {
         const chord = chordMap[step];
         const rootNote = findBassNote(notes, chord.rootPc);
         const fifthPc = chord.tones[2] !== undefined ? chord.tones[2] : chord.rootPc;
         const thirdPc = chord.tones[1] !== undefined ? chord.tones[1] : chord.rootPc;
-        const beat = step % 8;
-        if (beat === 0) pattern[step].add(rootNote);
-        else if (beat === 3) pattern[step].add(rootNote);
-        else if (beat === 5 && Math.random() < 0.7) pattern[step].add(findBassNote(notes, fifthPc));
-        else if (beat === 7 && Math.random() < 0.5) pattern[step].add(findBassNote(notes, thirdPc));
-        else if (Math.random() < 0.15) pattern[step].add(pick(notes));
+        const beat = cellPos(step);
+        if (beat === 0) Song.putNote(pattern[step], rootNote);
+        else if (beat === 3) Song.putNote(pattern[step], rootNote);
+        else if (beat === 5 && rng() < 0.7) Song.putNote(pattern[step], findBassNote(notes, fifthPc));
+        else if (beat === 7 && rng() < 0.5) Song.putNote(pattern[step], findBassNote(notes, thirdPc));
+        else if (rng() < 0.15) Song.putNote(pattern[step], pick(notes));
       }
     } else if (style.style === 'march') {
-      for (let step = 0; step < Config.STEPS; step++) {
+      for (let step = 0; step < State.steps; step++) {
         const chord = chordMap[step];
         const rootNote = findBassNote(notes, chord.rootPc);
         const fifthPc = chord.tones[2] !== undefined ? chord.tones[2] : chord.rootPc;
-        const beat = step % 8;
-        if (beat === 0 || beat === 4) pattern[step].add(rootNote);
-        else if (beat === 2 || beat === 6) pattern[step].add(findBassNote(notes, fifthPc));
+        const beat = cellPos(step);
+        if (beat === 0 || beat === 4) Song.putNote(pattern[step], rootNote);
+        else if (beat === 2 || beat === 6) Song.putNote(pattern[step], findBassNote(notes, fifthPc));
       }
     } else if (style.style === 'pulse') {
       // Minecraft-style: very sparse, just a gentle low pulse
-      for (let step = 0; step < Config.STEPS; step++) {
+      for (let step = 0; step < State.steps; step++) {
         const chord = chordMap[step];
         const rootNote = findBassNote(notes, chord.rootPc);
-        if (step % 8 === 0) {
-          pattern[step].add(rootNote);
-        } else if (step % 16 === 8 && Math.random() < 0.4) {
+        if (cellPos(step) === 0) {
+          Song.putNote(pattern[step], rootNote);
+        } else if (step % Song.barSteps() === Song.barSteps() / 2 && rng() < 0.4) {
           const fifthPc = chord.tones[2] !== undefined ? chord.tones[2] : chord.rootPc;
-          pattern[step].add(findBassNote(notes, fifthPc));
+          Song.putNote(pattern[step], findBassNote(notes, fifthPc));
         }
       }
     } else if (style.style === 'octave') {
       // Alternating root octave jumps
-      for (let step = 0; step < Config.STEPS; step++) {
-        if (Math.random() * 100 > density * 1.3) continue;
+      for (let step = 0; step < State.steps; step++) {
+        if (rng() * 100 > density * 1.3) continue;
         const chord = chordMap[step];
         const rootNote = findBassNote(notes, chord.rootPc);
-        const beat = step % 4;
-        if (beat === 0) pattern[step].add(rootNote);
+        const beat = Song.beatAt(step).offset;
+        if (beat === 0) Song.putNote(pattern[step], rootNote);
         else if (beat === 2) {
           const upper = rootNote + 12 <= Config.MAX_NOTE ? rootNote + 12 : rootNote;
-          pattern[step].add(upper);
+          Song.putNote(pattern[step], upper);
         }
       }
     } else if (style.style === 'arpeggiated') {
       // Bass plays chord tones in sequence
-      for (let step = 0; step < Config.STEPS; step++) {
-        if (Math.random() * 100 > density * 1.3) continue;
+      for (let step = 0; step < State.steps; step++) {
+        if (rng() * 100 > density * 1.3) continue;
         const chord = chordMap[step];
         const bassNotes = chord.tones.map(pc => findBassNote(notes, pc)).filter(Boolean);
         if (bassNotes.length > 0) {
-          pattern[step].add(bassNotes[step % bassNotes.length]);
+          Song.putNote(pattern[step], bassNotes[step % bassNotes.length]);
         }
       }
     }
     // Default root-fifth using chordMap
     else {
-      for (let step = 0; step < Config.STEPS; step++) {
-        if (Math.random() * 100 > density * 1.2) continue;
+      for (let step = 0; step < State.steps; step++) {
+        if (rng() * 100 > density * 1.2) continue;
         const chord = chordMap[step];
         const rootNote = findBassNote(notes, chord.rootPc);
         const fifthPc = chord.tones[2] !== undefined ? chord.tones[2] : chord.rootPc;
-        const beat = step % 8;
-        if (beat === 0 || beat === 4) pattern[step].add(rootNote);
-        else if (beat === 2 || beat === 6) pattern[step].add(findBassNote(notes, fifthPc));
-        else if (Math.random() < 0.3) pattern[step].add(pick(notes));
+        const beat = cellPos(step);
+        if (beat === 0 || beat === 4) Song.putNote(pattern[step], rootNote);
+        else if (beat === 2 || beat === 6) Song.putNote(pattern[step], findBassNote(notes, fifthPc));
+        else if (rng() < 0.3) Song.putNote(pattern[step], pick(notes));
       }
     }
   }
 
   // --- Arp generator ---
-  function generateArp(scale, root, density, style, chordMap) {
+  function generateArp(pattern, scale, root, density, style, chordMap) {
     const notes = getScaleNotes(scale, root);
     if (notes.length < 3) return;
-    const pattern = State.patterns[2];
 
     // Get chord tones from chordMap as actual MIDI notes within the arp range
     function getChordMidiTones(step) {
@@ -1075,85 +2426,85 @@ const Generator = (() => {
       return tones.length > 0 ? tones : [notes[0], notes[2], notes[4] % notes.length];
     }
 
-    for (let step = 0; step < Config.STEPS; step++) {
+    for (let step = 0; step < State.steps; step++) {
       pattern[step].clear();
     }
 
     if (style.style === 'comping') {
-      for (let step = 0; step < Config.STEPS; step++) {
-        const beat = step % 8;
-        if ((beat === 0 || beat === 3 || beat === 6) && Math.random() * 100 < density * 1.2) {
+      for (let step = 0; step < State.steps; step++) {
+        const beat = cellPos(step);
+        if ((beat === 0 || beat === 3 || beat === 6) && rng() * 100 < density * 1.2) {
           const chord = getChordMidiTones(step);
-          const count = Math.min(2 + Math.floor(Math.random() * 2), chord.length);
+          const count = Math.min(2 + Math.floor(rng() * 2), chord.length);
           for (let i = 0; i < count; i++) {
-            pattern[step].add(chord[i]);
+            Song.putNote(pattern[step], chord[i]);
           }
         }
       }
     } else if (style.style === 'power') {
-      for (let step = 0; step < Config.STEPS; step++) {
-        if (Math.random() * 100 > density * 1.2) continue;
+      for (let step = 0; step < State.steps; step++) {
+        if (rng() * 100 > density * 1.2) continue;
         if (step % 2 === 0) {
           const chord = getChordMidiTones(step);
-          pattern[step].add(chord[0]);
-          if (chord.length > 1) pattern[step].add(chord[Math.min(1, chord.length - 1)]);
+          Song.putNote(pattern[step], chord[0]);
+          if (chord.length > 1) Song.putNote(pattern[step], chord[Math.min(1, chord.length - 1)]);
         }
       }
     } else if (style.style === 'dissonant') {
-      for (let step = 0; step < Config.STEPS; step++) {
-        if (Math.random() * 100 > density) continue;
+      for (let step = 0; step < State.steps; step++) {
+        if (rng() * 100 > density) continue;
         const chord = getChordMidiTones(step);
         const base = pick(chord);
-        pattern[step].add(base);
+        Song.putNote(pattern[step], base);
         const dissonant = notes.find(n => Math.abs(n - base) === 1 || Math.abs(n - base) === 6);
-        if (dissonant) pattern[step].add(dissonant);
+        if (dissonant) Song.putNote(pattern[step], dissonant);
       }
     } else if (style.style === 'fanfare') {
-      for (let step = 0; step < Config.STEPS; step++) {
-        if (Math.random() * 100 > density * 1.2) continue;
+      for (let step = 0; step < State.steps; step++) {
+        if (rng() * 100 > density * 1.2) continue;
         const chord = getChordMidiTones(step);
         const pos = step % chord.length;
-        pattern[step].add(chord[pos]);
+        Song.putNote(pattern[step], chord[pos]);
       }
     } else if (style.style === 'shimmer') {
       // Minecraft-style: sparse random chord tones, dreamy
-      for (let step = 0; step < Config.STEPS; step++) {
-        if (Math.random() > 0.25) continue;
+      for (let step = 0; step < State.steps; step++) {
+        if (rng() > 0.25) continue;
         const chord = getChordMidiTones(step);
         if (chord.length > 0) {
           // Pick a random high chord tone
           const high = chord.filter(n => n >= 60);
           const pool = high.length > 0 ? high : chord;
-          pattern[step].add(pick(pool));
-          if (Math.random() < 0.3 && pool.length > 1) {
-            pattern[step].add(pick(pool));
+          Song.putNote(pattern[step], pick(pool));
+          if (rng() < 0.3 && pool.length > 1) {
+            Song.putNote(pattern[step], pick(pool));
           }
         }
       }
     } else if (style.style === 'stab') {
       // Short rhythmic chord stabs on offbeats
-      for (let step = 0; step < Config.STEPS; step++) {
-        const beat = step % 8;
-        if ((beat === 1 || beat === 3 || beat === 5) && Math.random() * 100 < density) {
+      for (let step = 0; step < State.steps; step++) {
+        const beat = cellPos(step);
+        if ((beat === 1 || beat === 3 || beat === 5) && rng() * 100 < density) {
           const chord = getChordMidiTones(step);
           const count = Math.min(3, chord.length);
           for (let i = 0; i < count; i++) {
-            pattern[step].add(chord[i]);
+            Song.putNote(pattern[step], chord[i]);
           }
         }
       }
     } else if (style.style === 'octave-arp') {
       // Fast octave arpeggios — root then root+12
-      for (let step = 0; step < Config.STEPS; step++) {
-        if (Math.random() * 100 > density * 1.3) continue;
+      for (let step = 0; step < State.steps; step++) {
+        if (rng() * 100 > density * 1.3) continue;
         const chord = getChordMidiTones(step);
         if (chord.length === 0) continue;
         const base = chord[step % chord.length];
         if (step % 2 === 0) {
-          pattern[step].add(base);
+          Song.putNote(pattern[step], base);
         } else {
           const upper = base + 12 <= Config.MAX_NOTE ? base + 12 : base;
-          pattern[step].add(upper);
+          Song.putNote(pattern[step], upper);
         }
       }
     }
@@ -1162,8 +2513,8 @@ const Generator = (() => {
       const modes = style.modes || ['up','down','pingpong'];
       const mode = pick(modes);
 
-      for (let step = 0; step < Config.STEPS; step++) {
-        if (Math.random() * 100 > density * 1.3) continue;
+      for (let step = 0; step < State.steps; step++) {
+        if (rng() * 100 > density * 1.3) continue;
         const chord = getChordMidiTones(step);
         if (chord.length === 0) continue;
 
@@ -1179,377 +2530,2193 @@ const Generator = (() => {
           noteIdx = pos < chord.length ? pos : cycle - pos;
           noteIdx = Math.min(noteIdx, chord.length - 1);
         }
-        pattern[step].add(chord[noteIdx]);
+        Song.putNote(pattern[step], chord[noteIdx]);
+      }
+    }
+  }
+
+  // --- Percussion generator ---
+  function generatePerc(pattern, density, style) {
+    const kick = 48, snare = 55, hihat = 64;
+
+    for (let step = 0; step < State.steps; step++) {
+      pattern[step].clear();
+      const beat = cellPos(step);
+      const barPos = step % Song.barSteps();
+
+      // Kick pattern
+      if ((style.kick || [0,4]).includes(beat)) {
+        Song.putNote(pattern[step], kick);
+      }
+
+      // Snare pattern
+      if ((style.snare || [2,6]).includes(beat)) {
+        Song.putNote(pattern[step], snare);
+      }
+
+      // Hi-hat pattern
+      const hh = style.hihat || 'eighths';
+      if (hh === 'sixteenths') {
+        // The 16ths between the eighths are ghosted
+        const velocity = step % 2 === 1 ? ACCENT.ghost : Song.DEFAULT_VELOCITY;
+        if (rng() * 100 < density * 1.2) Song.putNote(pattern[step], hihat, { velocity });
+      } else if (hh === 'sparse') {
+        if (isStrongBeat(step) && rng() < 0.6) Song.putNote(pattern[step], hihat);
+      } else {
+        if (step % 2 === 0 && rng() * 100 < density) Song.putNote(pattern[step], hihat);
+      }
+
+      // Fills: cluster at phrase boundaries (last 2 steps of each bar)
+      const fillChance = style.fillChance || 0.15;
+      if (barPos >= Song.barSteps() - 2) {
+        // 5x fill chance at phrase endings
+        if (rng() < fillChance * 5) {
+          Song.putNote(pattern[step], pick([kick, snare, hihat]));
+        }
+      } else if (barPos < Song.barSteps() - 4) {
+        // Suppress random fills in middle of phrase; the few left are ghost notes
+        if (rng() < fillChance * 0.2) {
+          const hit = pick([kick, snare, hihat]);
+          if (!pattern[step].has(hit)) Song.putNote(pattern[step], hit, { velocity: ACCENT.ghost });
+        }
+      }
+    }
+  }
+
+  // --- Pad generator ---
+  // Held chords in the middle of the grid: struck when the chord changes (and, as density
+  // rises, again on bar lines) and held until the next strike
+  function generatePad(pattern, scale, root, density, chordMap) {
+    const notes = getScaleNotes(scale, root).filter(n => n >= 55);
+    if (notes.length === 0) return;
+
+    for (let step = 0; step < State.steps; step++) {
+      pattern[step].clear();
+      const change = step === 0 || chordMap[step] !== chordMap[step - 1];
+      if (!change && !(isPhraseBoundary(step) && rng() * 100 < density)) continue;
+      // Root first, so one-voice chips keep it
+      const chord = chordMap[step];
+      const tones = chord.tones
+        .map(pc => notes.find(n => n % 12 === pc))
+        .filter(n => n !== undefined);
+      tones.slice(0, 3).forEach(midi => Song.putNote(pattern[step], midi, { velocity: ACCENT.pad }));
+    }
+    sustainNotes(pattern, State.steps);
+  }
+
+  // --- Counter-melody generator ---
+  // A slower second line on chord tones, on the beats, moving against the lead: down when the
+  // lead has climbed since its last note, up when it has fallen. Without a lead it wanders.
+  function generateCounter(pattern, scale, root, density, chordMap, lead) {
+    const notes = getScaleNotes(scale, root);
+    if (notes.length === 0) return;
+    let idx = Math.floor(notes.length / 3);
+    let leadNow = null;
+    let leadBefore = null;
+
+    for (let step = 0; step < State.steps; step++) {
+      pattern[step].clear();
+      if (lead && lead[step].size > 0) leadNow = Math.max(...lead[step].keys());
+      if (!isStrongBeat(step) || rng() * 100 > density) continue;
+
+      let direction = rng() < 0.5 ? -1 : 1;
+      if (leadNow !== null && leadBefore !== null && leadNow !== leadBefore) direction = leadNow > leadBefore ? -1 : 1;
+      leadBefore = leadNow;
+      idx = Math.max(0, Math.min(notes.length - 1, idx + direction * (1 + Math.floor(rng() * 2))));
+      idx = snapToChordTone(idx, notes, chordMap[step]);
+      // Step aside from the lead's pitch rather than doubling it
+      if (notes[idx] === leadNow) idx = wrapIdx(idx - direction, notes.length);
+      Song.putNote(pattern[step], notes[idx]);
+    }
+    sustainNotes(pattern, 8);
+  }
+
+  // Fill every channel from its role, in channel order so a seed keeps reproducing the channels
+  // it had; counter-melodies go last so they can answer a finished lead.
+  // styles holds the preset parts: { lead, bass, arp, perc }
+  function generateChannels(styles, scale, root, density, chordMap) {
+    const leadIdx = State.channels.findIndex(ch => ch.role === 'lead');
+    const byRole = {
+      lead: pattern => generateLead(pattern, scale, root, density, styles.lead, chordMap),
+      bass: pattern => generateBass(pattern, scale, root, density, styles.bass, chordMap),
+      arp: pattern => generateArp(pattern, scale, root, density, styles.arp, chordMap),
+      perc: pattern => generatePerc(pattern, density, styles.perc),
+      pad: pattern => generatePad(pattern, scale, root, density, chordMap),
+      counter: pattern => generateCounter(pattern, scale, root, density, chordMap, leadIdx >= 0 ? State.patterns[leadIdx] : null),
+    };
+    State.channels.forEach((ch, i) => { if (ch.role !== 'counter') byRole[ch.role](State.patterns[i]); });
+    State.channels.forEach((ch, i) => { if (ch.role === 'counter') byRole.counter(State.patterns[i]); });
+    State.patterns.forEach(accentNotes);
+    if (State.generate.effects) {
+      State.channels.forEach((ch, i) => { if (ch.role === 'lead') addLeadEffects(State.patterns[i], styles.lead.style); });
+    }
+  }
+
+  // --- Apply preset ---
+  function applyPreset(presetName) {
+    const p = Presets[presetName];
+    if (!p) return;
+
+    State.activePreset = presetName;
+    State.generate.scale = p.scale;
+    State.generate.rootNote = p.root;
+    State.generate.density = p.density;
+    State.bpm = p.bpm;
+
+    // Preset waves and duties are listed Lead, Bass, Arp, Perc; each role takes its slot's.
+    // Presets without duties play plain 50% squares
+    State.channels.forEach(ch => {
+      const slot = Config.ROLES[ch.role].slot;
+      if (p.waves) ch.waveType = p.waves[slot];
+      ch.duty = p.duties ? p.duties[slot] : 0.5;
+    });
+    // Presets without a groove play straight; custom offsets are kept for when CUSTOM is picked again
+    State.groove = { ...State.groove, template: 'straight', ...p.groove };
+  }
+
+  function generateAll() {
+    rng = createRng(State.generate.seed);
+    State.generate.mode = 'style';
+    const p = Presets[State.activePreset] || Presets['chiptune'];
+    const { scale, rootNote, density } = State.generate;
+
+    const chordMap = buildChordMap(scale, rootNote, p.progression || 'I-IV-V-I');
+
+    generateChannels(p, scale, rootNote, density, chordMap);
+    fitToProfile();
+    UI.renderGrid();
+  }
+
+  function generateRandom() {
+    rng = createRng(State.generate.seed);
+    State.generate.mode = 'random';
+    // Pick a random scale, root, density, BPM, waves, and preset style
+    const scaleNames = Object.keys(Config.SCALES);
+    const presetNames = Object.keys(Presets);
+    const allWaves = Config.WAVE_TYPES;
+
+    const randScale = pick(scaleNames);
+    const randRoot = Math.floor(rng() * 12);
+    const randDensity = 20 + Math.floor(rng() * 65);
+    const randBpm = 55 + Math.floor(rng() * 160);
+    const randPreset = pick(presetNames);
+    const p = Presets[randPreset];
+
+    // Apply random settings to state
+    State.generate.scale = randScale;
+    State.generate.rootNote = randRoot;
+    State.generate.density = randDensity;
+    State.bpm = randBpm;
+    State.activePreset = randPreset;
+
+    // Randomize wave types per channel; percussion stays on noise
+    State.channels.forEach(ch => {
+      ch.waveType = ch.role === 'perc' ? 'noise' : pick(allWaves.filter(w => w !== 'noise'));
+    });
+
+    // Pick random progression
+    const progNames = Object.keys(PROGRESSIONS);
+    const randProg = pick(progNames);
+
+    // Pick random lead/bass/arp/perc styles from random presets
+    const randLeadPreset = Presets[pick(presetNames)];
+    const randBassPreset = Presets[pick(presetNames)];
+    const randArpPreset = Presets[pick(presetNames)];
+    const randPercPreset = Presets[pick(presetNames)];
+
+    const chordMap = buildChordMap(randScale, randRoot, randProg);
+
+    const styles = { lead: randLeadPreset.lead, bass: randBassPreset.bass, arp: randArpPreset.arp, perc: randPercPreset.perc };
+    generateChannels(styles, randScale, randRoot, randDensity, chordMap);
+
+    // Random pulse widths, rolled last so earlier seeds still give the same notes
+    State.channels.forEach(ch => { ch.duty = pick(Config.DUTY_CYCLES); });
+    fitToProfile();
+    UI.renderGrid();
+  }
+
+  // Keep a generated pattern within the hardware profile: nothing on channels the chip lacks,
+  // no more notes per step than it can sound (keeping the ones playback would), and only the
+  // waves and pulse widths it has
+  function fitToProfile() {
+    const channels = Audio.getChannelLimit(State.profile);
+    const maxPoly = Audio.getMaxPoly(State.profile);
+    State.patterns.forEach((cells, ch) => cells.forEach(cell => {
+      [...cell.keys()].slice(ch < channels ? maxPoly : 0).forEach(midi => cell.delete(midi));
+    }));
+    State.channels.forEach((ch, i) => {
+      ch.waveType = Audio.clampWaveType(ch.waveType, State.profile, i);
+      ch.duty = Audio.clampDuty(ch.duty, State.profile);
+    });
+  }
+
+  function clearAll() {
+    State.patterns.forEach(cells => cells.forEach(cell => cell.clear()));
+    UI.renderGrid();
+  }
+
+  // Re-run the last kind of generation (style or random) with the current seed
+  function regenerate() {
+    if (State.generate.mode === 'random') generateRandom();
+    else generateAll();
+  }
+
+  function reseed() {
+    State.generate.seed = newSeed();
+  }
+
+  return { generateAll, generateRandom, regenerate, reseed, clearAll, applyPreset, createRng };
+})();
+
+// === Exporter ===
+const Exporter = (() => {
+  // Longest WAV export in seconds (the DUR field's maximum); keeps the render buffer in memory
+  const MAX_WAV_SECONDS = 1000;
+
+  // Render the song to a WAV download. `normalize` is { mode: 'off' | 'peak' | 'lufs', target }
+  // with the target in dBFS or LUFS. Resolves with the level report (see describeReport).
+  function exportWAV(customDurationSec, normalize = { mode: 'off' }) {
+    const sampleRate = 44100;
+    // One loop = the whole arrangement (or just the edited pattern in pattern scope), timed by
+    // each pattern's tempo map
+    const sequence = Song.sequence();
+    const patternDuration = Audio.songDuration(sequence);
+    if (!Number.isFinite(patternDuration) || patternDuration <= 0) {
+      alert('Set BPM above 0 before exporting.');
+      return Promise.resolve(null);
+    }
+    const wantDuration = (Number.isFinite(customDurationSec) && customDurationSec > 0)
+      ? Math.min(customDurationSec, MAX_WAV_SECONDS)
+      : patternDuration;
+    if (wantDuration > MAX_WAV_SECONDS) {
+      alert(`The song runs ${Math.round(patternDuration)}s, longer than the ${MAX_WAV_SECONDS}s a WAV export can hold. Set DUR to export its start.`);
+      return Promise.resolve(null);
+    }
+
+    // Render ONE song loop (or just the part DUR asks for) + tail for effects, then tile the
+    // audio to fill duration
+    const loopDuration = Math.min(wantDuration, patternDuration);
+    const loopRenderDur = loopDuration + 2; // +2s for delay/reverb tail
+    console.log(`Export: rendering ${loopDuration.toFixed(1)}s of ${sequence.length} pattern(s), tiling to ${wantDuration.toFixed(1)}s`);
+
+    const offlineCtx = new OfflineAudioContext(2, Math.ceil(loopRenderDur * sampleRate), sampleRate);
+
+    // Schedule exactly one song loop through the same graph live playback uses
+    const graph = Audio.buildGraph(offlineCtx);
+    Audio.scheduleNotes(graph, Audio.createCursor(sequence, 0), loopDuration);
+
+    return graph.ready.then(() => offlineCtx.startRendering()).then(loopBuffer => {
+      const loopSamples = Math.round(loopDuration * sampleRate);
+      const totalSamples = Math.round(wantDuration * sampleRate);
+      const levels = measureLevels(loopBuffer, loopSamples);
+      const { gain, held } = normalizationGain(levels, normalize);
+
+      // Tile the rendered loop to fill the requested duration
+      const blob = encodeWAVTiled(loopBuffer, loopDuration, wantDuration, gain);
+      download(blob, buildFilename('wav'));
+
+      // The file repeats the loop, so its clips are the loop's times the full loops plus the remainder's
+      const fullLoops = Math.floor(totalSamples / loopSamples);
+      const clips = countClips(loopBuffer, loopSamples, gain) * fullLoops +
+        countClips(loopBuffer, totalSamples % loopSamples, gain);
+      const gainDb = 20 * Math.log10(gain);
+      const report = {
+        mode: normalize.mode,
+        target: normalize.target,
+        duration: wantDuration,
+        gainDb,
+        held,
+        peakDb: levels.peakDb + gainDb,
+        loudness: levels.loudness + gainDb,
+        clips,
+      };
+      console.log('Export complete:', (wantDuration).toFixed(1) + 's', report);
+      return report;
+    }).catch(err => {
+      console.error('Rendering failed:', err);
+      alert('Export rendering failed: ' + err.message);
+      return null;
+    });
+  }
+
+  // --- Level analysis ---
+  const LUFS_PEAK_CEILING = -1; // dBFS loudness normalization may raise the peak to
+  // BS.1770 K-weighting as two biquads (a high shelf, then a high-pass), derived for any sample
+  // rate from the analog prototypes so 44.1 kHz matches the spec's 48 kHz coefficients
+  function kWeighting(sampleRate) {
+    const shelfK = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    const shelfQ = 0.7071752369554196;
+    const vh = Math.pow(10, 3.999843853973347 / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+    const passK = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    const passQ = 0.5003270373238773;
+    const passA0 = 1 + passK / passQ + passK * passK;
+    return [
+      {
+        b: [(vh + vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+          2 * (shelfK * shelfK - vh) / shelfA0,
+          (vh - vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0],
+        a: [2 * (shelfK * shelfK - 1) / shelfA0, (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0],
+      },
+      {
+        b: [1, -2, 1],
+        a: [2 * (passK * passK - 1) / passA0, (1 - passK / passQ + passK * passK) / passA0],
+      },
+    ];
+  }
+
+  // Sample peak (dBFS) and gated integrated loudness (LUFS) of the first `length` samples.
+  // Loudness sums K-weighted power over 400 ms blocks on a 100 ms hop, then drops blocks
+  // under -70 LUFS and those 10 LU below the mean of the rest, as BS.1770-4 specifies.
+  function measureLevels(buffer, length) {
+    const sampleRate = buffer.sampleRate;
+    // Loops shorter than one block are measured whole
+    const blockHop = Math.round(sampleRate * 0.1);
+    const hop = Math.max(1, length < 4 * blockHop ? length : blockHop);
+    const hops = Math.max(1, Math.floor(length / hop));
+    const power = new Float64Array(hops); // K-weighted energy per 100 ms, summed over channels
+    const filters = kWeighting(sampleRate);
+    let peak = 0;
+
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      const data = buffer.getChannelData(c);
+      const state = filters.map(() => [0, 0, 0, 0]); // x1, x2, y1, y2 per stage
+      for (let i = 0; i < length; i++) {
+        const abs = Math.abs(data[i]);
+        if (abs > peak) peak = abs;
+        let x = data[i];
+        for (let f = 0; f < filters.length; f++) {
+          const { b, a } = filters[f];
+          const st = state[f];
+          const y = b[0] * x + b[1] * st[0] + b[2] * st[1] - a[0] * st[2] - a[1] * st[3];
+          st[1] = st[0]; st[0] = x;
+          st[3] = st[2]; st[2] = y;
+          x = y;
+        }
+        const h = Math.floor(i / hop);
+        if (h < hops) power[h] += x * x;
+      }
+    }
+
+    // Mean-square power of each block
+    const span = Math.min(4, hops);
+    const blocks = [];
+    for (let h = 0; h + span <= hops; h++) {
+      let sum = 0;
+      for (let k = h; k < h + span; k++) sum += power[k];
+      blocks.push(sum / (span * hop));
+    }
+    const lufs = z => -0.691 + 10 * Math.log10(z);
+    const mean = list => list.reduce((sum, z) => sum + z, 0) / list.length;
+    const audible = blocks.filter(z => lufs(z) > -70);
+    let loudness = -Infinity;
+    if (audible.length > 0) {
+      const relativeGate = lufs(mean(audible)) - 10;
+      loudness = lufs(mean(audible.filter(z => lufs(z) > relativeGate)));
+    }
+    return { peakDb: 20 * Math.log10(peak), loudness };
+  }
+
+  // Linear gain that brings the measured levels to the normalization target; silence stays as is.
+  // Loudness gain is applied after the limiter, so it stops where the peak would pass
+  // LUFS_PEAK_CEILING (held: true) rather than clip.
+  function normalizationGain(levels, normalize) {
+    let offsetDb = 0;
+    let held = false;
+    if (normalize.mode === 'peak' && Number.isFinite(levels.peakDb)) {
+      offsetDb = normalize.target - levels.peakDb;
+    } else if (normalize.mode === 'lufs' && Number.isFinite(levels.loudness)) {
+      offsetDb = normalize.target - levels.loudness;
+      if (levels.peakDb + offsetDb > LUFS_PEAK_CEILING) {
+        offsetDb = LUFS_PEAK_CEILING - levels.peakDb;
+        held = true;
+      }
+    }
+    return { gain: Math.pow(10, offsetDb / 20), held };
+  }
+
+  // Samples in the first `length` frames that land outside ±1 once `gain` is applied
+  function countClips(buffer, length, gain) {
+    let clips = 0;
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      const data = buffer.getChannelData(c);
+      for (let i = 0; i < length; i++) {
+        if (Math.abs(data[i] * gain) > 1) clips++;
+      }
+    }
+    return clips;
+  }
+
+  // Plain-language lines for the post-export level report
+  function describeReport(report) {
+    const db = value => Number.isFinite(value) ? value.toFixed(1) : '-inf';
+    const lines = [`Rendered ${report.duration.toFixed(1)}s of audio.`];
+    if (report.mode === 'peak') {
+      lines.push(`Peak-normalized to ${report.target} dBFS (${db(report.gainDb)} dB gain).`);
+    } else if (report.mode === 'lufs') {
+      lines.push(report.held
+        ? `Loudness held at ${db(report.loudness)} LUFS short of ${report.target} LUFS to keep the peak at ${LUFS_PEAK_CEILING} dBFS (${db(report.gainDb)} dB gain).`
+        : `Loudness-normalized to ${report.target} LUFS (${db(report.gainDb)} dB gain).`);
+    }
+    lines.push(`Peak: ${db(report.peakDb)} dBFS.`);
+    lines.push(`Integrated loudness: ${db(report.loudness)} LUFS.`);
+    lines.push(report.clips > 0
+      ? `Clipped ${report.clips} samples — lower the normalization target or the channel volumes.`
+      : 'No clipping.');
+    return lines;
+  }
+
+  // --- Standard MIDI File export ---
+  const MIDI_PPQ = 96;                 // ticks per quarter note
+  const MIDI_TICKS_PER_STEP = MIDI_PPQ / 4;
+  const GM_PROGRAMS = { square: 80, sawtooth: 81, triangle: 79, sine: 73 };
+  const MINOR_SCALES = ['minor', 'minorPent', 'blues', 'dorian', 'phrygian', 'harmonicMinor', 'hungarian', 'japanese'];
+  // Sharps (+) / flats (-) for each major key root pitch class
+  const KEY_ACCIDENTALS = [0, -5, 2, -3, 4, -1, 6, 1, -4, 3, -2, 5];
+
+  // MIDI channel per song channel: Perc roles share GM drums on channel 10, the rest take
+  // channels 1-9 and 11-16 in order
+  function midiChannels() {
+    let next = 0;
+    return State.channels.map(ch => {
+      if (ch.role === 'perc') return 9;
+      if (next === 9) next++;
+      return next++;
+    });
+  }
+
+  // -1..1 pan → MIDI CC 10 (0 left, 64 center, 127 right)
+  function midiPan(pan) {
+    return Math.min(127, Math.round((pan + 1) * 64));
+  }
+
+  function gmDrumNote(midi) {
+    return Audio.drumAt(midi).gm[0];
+  }
+
+  function writeVarLen(out, value) {
+    const stack = [value & 0x7F];
+    while ((value >>= 7) > 0) stack.push((value & 0x7F) | 0x80);
+    while (stack.length) out.push(stack.pop());
+  }
+
+  function textBytes(str) {
+    return Array.from(str, c => c.charCodeAt(0) & 0x7F);
+  }
+
+  // events: [{ tick, order, data: [...] }] → MTrk chunk bytes
+  function encodeTrack(events) {
+    events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+    const body = [];
+    let lastTick = 0;
+    for (const ev of events) {
+      writeVarLen(body, ev.tick - lastTick);
+      body.push(...ev.data);
+      lastTick = ev.tick;
+    }
+    writeVarLen(body, 0);
+    body.push(0xFF, 0x2F, 0x00); // end of track
+    return [0x4D, 0x54, 0x72, 0x6B, ...uint32(body.length), ...body];
+  }
+
+  function uint32(n) { return [(n >>> 24) & 0xFF, (n >>> 16) & 0xFF, (n >>> 8) & 0xFF, n & 0xFF]; }
+  function uint16(n) { return [(n >>> 8) & 0xFF, n & 0xFF]; }
+
+  function metaEvent(type, bytes) {
+    const data = [0xFF, type];
+    writeVarLen(data, bytes.length);
+    data.push(...bytes);
+    return data;
+  }
+
+  function buildMIDI() {
+    const { scale, rootNote } = State.generate;
+    const keyName = `${Config.NOTE_NAMES[rootNote]} ${scale}`;
+    const isMinor = MINOR_SCALES.includes(scale);
+    const sf = KEY_ACCIDENTALS[(isMinor ? rootNote + 3 : rootNote) % 12];
+    // Metronome clicks once per beat of the meter: 24 MIDI clocks per quarter = 6 per step
+    const [numerator, denominator] = State.timeSig.split('/').map(Number);
+    const clocksPerClick = Config.METERS[State.timeSig][0] * 6;
+    const preset = Presets[State.activePreset];
+
+    const sequence = Song.sequence();
+
+    // Track 0: conductor (name, tempo, meter, key)
+    const conductor = [
+      { tick: 0, order: 0, data: metaEvent(0x03, textBytes(`${preset ? preset.label : 'Song'} (${keyName})`)) },
+      { tick: 0, order: 0, data: metaEvent(0x58, [numerator, Math.log2(denominator), clocksPerClick, 8]) },
+      { tick: 0, order: 0, data: metaEvent(0x59, [sf & 0xFF, isMinor ? 1 : 0]) },
+    ];
+    // A tempo event wherever the tempo map changes it, on every step of a ramp
+    let lastBpm = null;
+    sequence.forEach((patternIdx, pass) => {
+      for (let step = 0; step < State.steps; step++) {
+        const bpm = Song.tempoAt(State.bank[patternIdx], step);
+        if (bpm === lastBpm) continue;
+        // The tempo meta holds 24 bits, so anything under ~3.58 BPM is written as the slowest it allows
+        const microsPerQuarter = Math.min(0xFFFFFF, Math.round(60000000 / Math.max(1, bpm)));
+        const tick = (pass * State.steps + step) * MIDI_TICKS_PER_STEP;
+        conductor.push({ tick, order: 0, data: metaEvent(0x51, uint32(microsPerQuarter).slice(1)) });
+        lastBpm = bpm;
+      }
+    });
+    const tracks = [encodeTrack(conductor)];
+
+    const gateTicks = Math.round(MIDI_TICKS_PER_STEP * 0.8);
+    // Swung like live playback: each step moves by its groove offset
+    const grooveTicks = step => Math.round(Audio.grooveOffset(step) * MIDI_TICKS_PER_STEP);
+    const channels = midiChannels();
+    State.channels.forEach((ch, i) => {
+      const midiCh = channels[i];
+      const isDrums = midiCh === 9;
+      const events = [
+        { tick: 0, order: 0, data: metaEvent(0x03, textBytes(`${ch.name} - ${keyName}`)) },
+      ];
+      if (!isDrums) {
+        events.push({ tick: 0, order: 0, data: [0xC0 | midiCh, GM_PROGRAMS[ch.waveType] || 80] });
+      }
+      // Pan (CC 10) as the bit mode's stereo model places it, resent whenever a note moves it
+      let lastPan = midiPan(Audio.stereoPan(ch, null, State.profile));
+      events.push({ tick: 0, order: 0, data: [0xB0 | midiCh, 10, lastPan] });
+      // Write the arrangement out in song order
+      sequence.forEach((patternIdx, pass) => {
+        const cells = State.bank[patternIdx].patterns[i];
+        cells.forEach((notes, step) => {
+          const stepTick = (pass * State.steps + step) * MIDI_TICKS_PER_STEP;
+          const tick = Math.max(0, stepTick + grooveTicks(step));
+          for (const midi of notes.keys()) {
+            if (Song.isTiedInto(cells, step, midi)) continue;
+            const key = isDrums ? gmDrumNote(midi) : midi;
+            // Same gap before the next step as live playback, after the note's full span
+            const span = Song.noteSpan(cells, step, midi);
+            const endTick = stepTick + (span - 1) * MIDI_TICKS_PER_STEP + gateTicks + grooveTicks(step + span);
+            const offTick = Math.max(tick + 1, endTick);
+            const velocity = Math.max(1, Math.round(notes.get(midi).velocity * ch.volume));
+            const pan = midiPan(Audio.stereoPan(ch, notes.get(midi).pan, State.profile));
+            if (pan !== lastPan) {
+              events.push({ tick, order: 2, data: [0xB0 | midiCh, 10, pan] });
+              lastPan = pan;
+            }
+            events.push({ tick, order: 2, data: [0x90 | midiCh, key, velocity] });
+            events.push({ tick: offTick, order: 1, data: [0x80 | midiCh, key, 0] });
+          }
+        });
+      });
+      tracks.push(encodeTrack(events));
+    });
+
+    const header = [0x4D, 0x54, 0x68, 0x64, ...uint32(6), ...uint16(1), ...uint16(tracks.length), ...uint16(MIDI_PPQ)];
+    return Uint8Array.from([...header, ...tracks.flat()]);
+  }
+
+  function exportMIDI() {
+    const bytes = buildMIDI();
+    download(new Blob([bytes], { type: 'audio/midi' }), buildFilename('mid'));
+    console.log('MIDI export complete:', bytes.length + ' bytes');
+  }
+
+  // --- FamiTracker text export ---
+  const NES_CPU_CLOCK = 1789773; // NTSC 2A03
+  // The 2A03 tone channels in FamiTracker's column order. Song channels claim them by role in
+  // channel order: Bass takes the triangle, Perc the noise and the other roles the pulses.
+  const FT_CHANNELS = [
+    { kind: 'pulse', label: 'Pulse 1' },
+    { kind: 'pulse', label: 'Pulse 2' },
+    { kind: 'triangle', label: 'Triangle' },
+    { kind: 'noise', label: 'Noise' },
+  ];
+  const FT_ROLE_KINDS = { bass: 'triangle', perc: 'noise' };
+  // Closest pulse duty for each waveform: 0 = 12.5%, 1 = 25%, 2 = 50%; square uses the channel's duty
+  const FT_DUTY = { sawtooth: 1, triangle: 2, sine: 2, noise: 2 };
+  const FT_EMPTY_CELL = '... .. . ...';
+  const FT_NOTE_OFF_CELL = '--- .. . ...';
+  const FT_MAX_FRAMES = 128;
+
+  function hex(n, width) {
+    return n.toString(16).toUpperCase().padStart(width, '0');
+  }
+
+  function ftNoteName(midi) {
+    const name = Config.NOTE_NAMES[midi % 12];
+    return (name.length === 1 ? name + '-' : name) + (Math.floor(midi / 12) - 1);
+  }
+
+  // Find speed/tempo so that rows (16th notes) per minute = BPM * 4 = tempo * 24 / speed
+  function ftSpeedTempo(bpm) {
+    let best = { speed: 6, tempo: Math.round(bpm), error: Infinity };
+    for (let speed = 1; speed <= 31; speed++) {
+      const tempo = Math.round(bpm * speed / 6);
+      if (tempo < 32 || tempo > 255) continue;
+      const error = Math.abs(tempo * 6 / speed - bpm);
+      if (error < best.error - 1e-9 || (error === best.error && speed === 6)) best = { speed, tempo, error };
+    }
+    return best;
+  }
+
+  // Timer period the 2A03 would need for a note; pulse divides by 16, triangle by 32
+  function nesPeriod(freq, kind) {
+    return Math.round(NES_CPU_CLOCK / ((kind === 'triangle' ? 32 : 16) * freq)) - 1;
+  }
+
+  function inHardwareRange(midi, kind) {
+    const period = nesPeriod(Audio.midiToFreq(midi), kind);
+    const minPeriod = kind === 'pulse' ? 8 : 2;
+    return period >= minPeriod && period <= 0x7FF;
+  }
+
+  // Noise notes name the period backwards: F-# is period 0, the highest
+  function ftNoiseNote(midi) {
+    return hex(15 - Audio.noisePeriodIndex(midi), 1) + '-#';
+  }
+
+  // Our effects count FX_TICKS_PER_STEP ticks to a row; cut and delay rescale to the module speed
+  function ftEffect(fx, speed) {
+    const timed = fx.cmd === 'S' || fx.cmd === 'G';
+    const value = timed ? Math.min(255, Math.round(fx.value * speed / Config.FX_TICKS_PER_STEP)) : fx.value;
+    return fx.cmd + hex(value, 2);
+  }
+
+  // The song channel in each FamiTracker column (-1 for none), and the channels that found no column
+  function ftSources() {
+    const sources = FT_CHANNELS.map(() => -1);
+    const unplaced = [];
+    State.channels.forEach((ch, i) => {
+      const kind = FT_ROLE_KINDS[ch.role] || 'pulse';
+      const column = FT_CHANNELS.findIndex((ftCh, c) => ftCh.kind === kind && sources[c] < 0);
+      if (column < 0) unplaced.push(i);
+      else sources[column] = i;
+    });
+    return { sources, unplaced };
+  }
+
+  function buildFamiTracker() {
+    if (!(State.bpm > 0)) throw new Error('Set BPM above 0 before exporting.');
+    const { speed, tempo } = ftSpeedTempo(State.bpm);
+    const cutTicks = Math.round(speed * 0.8);
+    const warnings = [];
+    const lines = [];
+    const preset = Presets[State.activePreset];
+    const title = (preset ? preset.label : 'Song').replace(/"/g, '');
+    const { sources, unplaced } = ftSources();
+    for (const idx of unplaced) {
+      const ch = State.channels[idx];
+      warnings.push(`${ch.name}: no free 2A03 ${FT_ROLE_KINDS[ch.role] || 'pulse'} channel; left out of the module.`);
+    }
+
+    lines.push('# FamiTracker text export 0.4.2', '');
+    lines.push('# Song information', `TITLE           "${title}"`, 'AUTHOR          ""', 'COPYRIGHT       ""', '');
+    lines.push('# Song comment', 'COMMENT "Exported from 8-Bit Music Generator"', '');
+    lines.push('# Global settings', 'MACHINE         0', 'FRAMERATE       0', 'EXPANSION       0', 'VIBRATO         1', 'SPLIT           32', '');
+
+    // One duty macro + instrument per channel; on noise the duty picks the LFSR mode (0 long, 1 short)
+    lines.push('# Macros');
+    const instruments = [];
+    let macroCount = 0;
+    FT_CHANNELS.forEach((ftCh, i) => {
+      const ch = State.channels[sources[i]];
+      let dutyMacro = -1;
+      if (!ch) {
+        instruments.push(`INST2A03 ${String(i).padStart(3)}  -1  -1  -1  -1  -1 "${ftCh.label}"`);
+        return;
+      }
+      if (ftCh.kind === 'pulse') {
+        dutyMacro = macroCount++;
+        const duty = ch.waveType === 'square' ? Config.DUTY_CYCLES.indexOf(ch.duty) : FT_DUTY[ch.waveType];
+        lines.push(`MACRO       4 ${String(dutyMacro).padStart(3)}  -1  -1   0 : ${duty}`);
+        if (ch.waveType === 'noise') warnings.push(`${ch.name}: noise wave has no pulse equivalent; exported as a 50% pulse.`);
+      } else if (ftCh.kind === 'noise') {
+        dutyMacro = macroCount++;
+        lines.push(`MACRO       4 ${String(dutyMacro).padStart(3)}  -1  -1   0 : ${ch.noiseMode === 'short' ? 1 : 0}`);
+        if (ch.waveType !== 'noise') warnings.push(`${ch.name}: ${ch.waveType} wave is played on the noise channel.`);
+      } else if (ch.waveType !== 'triangle') {
+        warnings.push(`${ch.name}: ${ch.waveType} wave is played on the triangle channel.`);
+      }
+      instruments.push(`INST2A03 ${String(i).padStart(3)}  -1  -1  -1  -1 ${String(dutyMacro).padStart(3)} "${ch.name}"`);
+    });
+    lines.push('', '# DPCM samples', '', '# Instruments', ...instruments, '');
+
+    lines.push('# Tracks', '');
+    lines.push(`TRACK ${String(State.steps).padStart(3)} ${String(speed).padStart(3)} ${String(tempo).padStart(3)} "${title}"`);
+    lines.push('COLUMNS : 1 1 1 1 1', '');
+
+    // The song order becomes FamiTracker frames; repeats are written out as repeated frames
+    let sequence = Song.sequence();
+    if (sequence.length > FT_MAX_FRAMES) {
+      warnings.push(`Song is ${sequence.length} patterns long; only the first ${FT_MAX_FRAMES} fit in FamiTracker's frame list.`);
+      sequence = sequence.slice(0, FT_MAX_FRAMES);
+    }
+    // The module runs at one speed/tempo on the straight grid
+    if (sequence.some(patternIdx => State.bank[patternIdx].tempo.length > 0)) {
+      warnings.push(`Tempo map changes are not exported; the module plays at ${State.bpm} BPM throughout.`);
+    }
+    if (Array.from({ length: State.steps }, (_, step) => Audio.grooveOffset(step)).some(offset => offset !== 0)) {
+      warnings.push('The groove is not exported; the module plays straight.');
+    }
+    sequence.forEach((patternIdx, frame) => {
+      const p = hex(patternIdx, 2);
+      lines.push(`ORDER ${hex(frame, 2)} : ${p} ${p} ${p} ${p} ${p}`);
+    });
+    lines.push('');
+
+    const dropped = FT_CHANNELS.map(() => 0);
+    const outOfRange = FT_CHANNELS.map(() => []);
+
+    // Long notes are released with a note-off on the row where they end
+    let releaseAt = [];
+
+    // One FamiTracker row: a cell per 2A03 channel
+    function ftRow(pattern, step) {
+      return FT_CHANNELS.map((ftCh, i) => {
+        if (sources[i] < 0) return FT_EMPTY_CELL;
+        const ch = State.channels[sources[i]];
+        const cells = pattern.patterns[sources[i]];
+        const notes = [...cells[step].keys()];
+        if (notes.length === 0) return releaseAt[i] === step ? FT_NOTE_OFF_CELL : FT_EMPTY_CELL;
+        // Every NES channel is monophonic: keep the lowest note on triangle/noise, the highest on pulses
+        notes.sort((a, b) => ftCh.kind === 'pulse' ? b - a : a - b);
+        dropped[i] += notes.length - 1;
+        const midi = notes[0];
+        // A tied note is still sounding from the previous row
+        if (Song.isTiedInto(cells, step, midi)) return FT_EMPTY_CELL;
+        const span = Song.noteSpan(cells, step, midi);
+        releaseAt[i] = step + span;
+        const entry = cells[step].get(midi);
+        // Volume column: channel volume scaled by the note's velocity
+        const vol = hex(Math.round(ch.volume * entry.velocity / 127 * 15), 1);
+        // One effect column: the note's own effect wins over the gate cut
+        const fx = Song.parseFx(entry.fx);
+        const cut = span === 1 && cutTicks < speed ? 'S' + hex(cutTicks, 2) : '...';
+        const effect = fx ? ftEffect(fx, speed) : cut;
+        let note;
+        if (ftCh.kind === 'noise') {
+          note = ftNoiseNote(midi);
+        } else {
+          if (!inHardwareRange(midi, ftCh.kind)) outOfRange[i].push(midi);
+          // The triangle sounds an octave below a pulse playing the same note name
+          note = ftNoteName(ftCh.kind === 'triangle' ? midi + 12 : midi);
+        }
+        return `${note} ${hex(i, 2)} ${vol} ${effect}`;
+      });
+    }
+
+    State.bank.forEach((pattern, patternIdx) => {
+      if (!sequence.includes(patternIdx)) return;
+      lines.push(`PATTERN ${hex(patternIdx, 2)}`);
+      releaseAt = FT_CHANNELS.map(() => -1);
+      for (let step = 0; step < State.steps; step++) {
+        lines.push(`ROW ${hex(step, 2)} : ${ftRow(pattern, step).join(' : ')} : ${FT_EMPTY_CELL}`);
+      }
+      lines.push('');
+    });
+    lines.push('# End of export', '');
+
+    FT_CHANNELS.forEach((ftCh, i) => {
+      if (sources[i] < 0) return;
+      const name = State.channels[sources[i]].name;
+      if (dropped[i] > 0) warnings.push(`${name}: ${dropped[i]} chord notes dropped (${ftCh.label} is monophonic).`);
+      if (outOfRange[i].length > 0) {
+        const names = [...new Set(outOfRange[i])].map(ftNoteName).join(', ');
+        warnings.push(`${name}: ${outOfRange[i].length} notes outside the ${ftCh.label} range (${names}).`);
+      }
+    });
+
+    return { text: lines.join('\n'), warnings };
+  }
+
+  function exportFamiTracker() {
+    const { text, warnings } = buildFamiTracker();
+    download(new Blob([text], { type: 'text/plain' }), buildFilename('txt'));
+    console.log('FamiTracker export complete', warnings);
+    return warnings;
+  }
+
+  // Descriptive filename: style_scale_root_BPM_profile_seed_seq.ext
+  function buildFilename(ext) {
+    const style = (State.activePreset || 'unknown').replace(/[^a-zA-Z0-9-]/g, '');
+    const scale = (State.generate.scale || 'pentatonic').replace(/[^a-zA-Z]/g, '');
+    const root = Config.NOTE_NAMES[State.generate.rootNote] || 'C';
+    const bpm = State.bpm || 120;
+    const profile = State.profile || 'nes';
+    const seed = State.generate.seed;
+    const seq = String(Date.now()).slice(-10);
+    return `${style}_${scale}_${root}_${bpm}bpm_${profile}_seed${seed}_${seq}.${ext}`;
+  }
+
+  // Trigger a browser download for a Blob
+  function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  // Pre-encode one loop of audio, scaled by the normalization gain, into an interleaved Int16Array
+  function encodeLoopChunk(loopBuffer, loopSamples, gain) {
+    const numCh = loopBuffer.numberOfChannels;
+    const channels = [];
+    for (let c = 0; c < numCh; c++) channels.push(loopBuffer.getChannelData(c));
+
+    const chunk = new Int16Array(loopSamples * numCh);
+    let idx = 0;
+    for (let i = 0; i < loopSamples; i++) {
+      for (let c = 0; c < numCh; c++) {
+        const s = Math.max(-1, Math.min(1, channels[c][i] * gain));
+        chunk[idx++] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+      }
+    }
+    return chunk;
+  }
+
+  // Build WAV as Blob from chunks — avoids allocating one giant ArrayBuffer
+  function encodeWAVTiled(loopBuffer, loopDurationSec, totalDurationSec, gain = 1) {
+    const numCh = loopBuffer.numberOfChannels;
+    const sampleRate = loopBuffer.sampleRate;
+    const loopSamples = Math.round(loopDurationSec * sampleRate);
+    const totalSamples = Math.round(totalDurationSec * sampleRate);
+    const dataSize = totalSamples * numCh * 2;
+
+    // 44-byte WAV header
+    const header = new ArrayBuffer(44);
+    const v = new DataView(header);
+    function ws(off, str) { for (let i = 0; i < str.length; i++) v.setUint8(off + i, str.charCodeAt(i)); }
+    ws(0, 'RIFF');
+    v.setUint32(4, 36 + dataSize, true);
+    ws(8, 'WAVE');
+    ws(12, 'fmt ');
+    v.setUint32(16, 16, true);
+    v.setUint16(20, 1, true);
+    v.setUint16(22, numCh, true);
+    v.setUint32(24, sampleRate, true);
+    v.setUint32(28, sampleRate * numCh * 2, true);
+    v.setUint16(32, numCh * 2, true);
+    v.setUint16(34, 16, true);
+    ws(36, 'data');
+    v.setUint32(40, dataSize, true);
+
+    // Encode one loop as Int16 interleaved PCM
+    const loopChunk = encodeLoopChunk(loopBuffer, loopSamples, gain);
+    const loopBytes = new Uint8Array(loopChunk.buffer);
+
+    // Build blob from header + repeated loop chunks
+    const parts = [header];
+    const fullLoops = Math.floor(totalSamples / loopSamples);
+    const remainSamples = totalSamples % loopSamples;
+
+    for (let i = 0; i < fullLoops; i++) {
+      parts.push(loopBytes);
+    }
+
+    // Partial final loop
+    if (remainSamples > 0) {
+      const partialBytes = remainSamples * numCh * 2;
+      parts.push(loopBytes.slice(0, partialBytes));
+    }
+
+    return new Blob(parts, { type: 'audio/wav' });
+  }
+
+  return {
+    exportWAV, describeReport, exportMIDI, buildMIDI, exportFamiTracker, buildFamiTracker, buildFilename, download,
+  };
+})();
+
+// === MIDI Import ===
+const Importer = (() => {
+  // GM percussion → the kick/snare/hihat rows generatePerc uses
+  const HIHAT_ROW = 64;
+
+  function readString(bytes, pos, len) {
+    let str = '';
+    for (let i = 0; i < len; i++) str += String.fromCharCode(bytes[pos + i]);
+    return str;
+  }
+
+  function readUint32(bytes, pos) {
+    return ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) >>> 0;
+  }
+
+  function readUint16(bytes, pos) {
+    return (bytes[pos] << 8) | bytes[pos + 1];
+  }
+
+  // Parse an SMF type 0/1 file into { ppq, tempo, tempos, sources[] }
+  // Each source is one (track, channel) pair with its notes as { tick, key, velocity, ticks }, where
+  // ticks is how long the note is held (null if no note-off ends it). tempos lists every tempo
+  // event as { tick, tempo } in µs per quarter, in time order; tempo is the first one's.
+  function parseMIDI(bytes) {
+    if (bytes.length < 14 || readString(bytes, 0, 4) !== 'MThd') {
+      throw new Error('Not a MIDI file (missing MThd header).');
+    }
+    const headerLen = readUint32(bytes, 4);
+    const format = readUint16(bytes, 8);
+    const trackCount = readUint16(bytes, 10);
+    const division = readUint16(bytes, 12);
+    if (format > 1) throw new Error(`MIDI format ${format} is not supported (only type 0 and 1).`);
+    if (division & 0x8000) throw new Error('SMPTE-timed MIDI files are not supported.');
+
+    const tempos = [];
+    let lengthTicks = 0;
+    const sources = new Map();
+    let pos = 8 + headerLen;
+
+    for (let t = 0; t < trackCount; t++) {
+      if (pos + 8 > bytes.length || readString(bytes, pos, 4) !== 'MTrk') {
+        throw new Error(`MIDI file is truncated (track ${t + 1} missing).`);
+      }
+      const end = pos + 8 + readUint32(bytes, pos + 4);
+      if (end > bytes.length) throw new Error(`MIDI file is truncated (track ${t + 1} cut short).`);
+      pos += 8;
+
+      let tick = 0;
+      let status = 0;
+      let trackName = '';
+      const held = new Map(); // `${channel}:${key}` → notes still sounding, oldest first
+      const need = count => {
+        if (pos + count > end) throw new Error(`MIDI file is truncated (track ${t + 1} event cut short).`);
+      };
+      const readVarLen = () => {
+        let value = 0;
+        let byte;
+        do {
+          if (pos >= end) throw new Error(`Bad variable-length value in track ${t + 1}.`);
+          byte = bytes[pos++];
+          value = (value << 7) | (byte & 0x7F);
+        } while (byte & 0x80);
+        return value;
+      };
+
+      while (pos < end) {
+        tick += readVarLen();
+        need(1);
+        let byte = bytes[pos];
+        if (byte & 0x80) {
+          status = byte;
+          pos++;
+        } else if (!status) {
+          throw new Error(`Running status without a prior event in track ${t + 1}.`);
+        }
+
+        if (status === 0xFF) {
+          need(1);
+          const type = bytes[pos++];
+          const len = readVarLen();
+          need(len);
+          if (type === 0x51) {
+            if (len < 3) throw new Error(`Bad tempo event in track ${t + 1}.`);
+            tempos.push({ tick, tempo: (bytes[pos] << 16) | (bytes[pos + 1] << 8) | bytes[pos + 2] });
+          } else if (type === 0x03) {
+            trackName = readString(bytes, pos, len).trim();
+          }
+          pos += len;
+          status = 0; // meta events cancel running status
+        } else if (status === 0xF0 || status === 0xF7) {
+          const len = readVarLen();
+          need(len);
+          pos += len;
+          status = 0;
+        } else {
+          const kind = status & 0xF0;
+          const channel = status & 0x0F;
+          const dataBytes = (kind === 0xC0 || kind === 0xD0) ? 1 : 2;
+          need(dataBytes);
+          for (let i = 0; i < dataBytes; i++) {
+            if (bytes[pos + i] & 0x80) throw new Error(`Bad data byte in track ${t + 1}.`);
+          }
+          const d1 = bytes[pos++];
+          const d2 = dataBytes === 2 ? bytes[pos++] : 0;
+          const heldKey = `${channel}:${d1}`;
+          if (kind === 0x90 && d2 > 0) {
+            const id = `${t}:${channel}`;
+            if (!sources.has(id)) {
+              sources.set(id, { id, track: t, channel, name: '', notes: [] });
+            }
+            const note = { tick, key: d1, velocity: d2, ticks: null };
+            sources.get(id).notes.push(note);
+            if (!held.has(heldKey)) held.set(heldKey, []);
+            held.get(heldKey).push(note);
+          } else if (kind === 0x80 || kind === 0x90) {
+            // Note-off (or note-on at velocity 0) ends the oldest sounding note of that key
+            const note = held.has(heldKey) && held.get(heldKey).shift();
+            if (note) note.ticks = tick - note.tick;
+          }
+        }
+        lengthTicks = Math.max(lengthTicks, tick);
+      }
+      for (const src of sources.values()) {
+        if (src.track === t && !src.name) src.name = trackName;
+      }
+      pos = end;
+    }
+
+    tempos.sort((a, b) => a.tick - b.tick);
+    return { ppq: division, tempo: tempos.length ? tempos[0].tempo : null, tempos, lengthTicks, sources: [...sources.values()] };
+  }
+
+  // Order melodic sources fill the free channels in, by role; the bass comes last
+  const IMPORT_ROLE_ORDER = ['lead', 'arp', 'counter', 'pad', 'bass'];
+
+  // Suggest a target channel for each source: drums → the first Perc, lowest melodic source →
+  // the first Bass, the rest → the leads, arps and other melodic channels in turn
+  function suggestMapping(sources) {
+    const mapping = {};
+    const melodic = sources.filter(s => s.channel !== 9);
+    const avgKey = s => s.notes.reduce((sum, n) => sum + n.key, 0) / s.notes.length;
+    const byPitch = [...melodic].sort((a, b) => avgKey(a) - avgKey(b));
+    const bass = State.channels.findIndex(ch => ch.role === 'bass');
+    if (byPitch.length > 1 && bass >= 0) mapping[byPitch[0].id] = bass;
+    const free = IMPORT_ROLE_ORDER
+      .flatMap(role => State.channels.map((ch, i) => (ch.role === role ? i : -1)).filter(i => i >= 0))
+      .filter(ch => !Object.values(mapping).includes(ch));
+    for (const src of melodic) {
+      if (mapping[src.id] !== undefined) continue;
+      mapping[src.id] = free.length ? free.shift() : -1;
+    }
+    const perc = State.channels.findIndex(ch => ch.role === 'perc');
+    for (const src of sources) {
+      if (src.channel === 9) mapping[src.id] = perc;
+    }
+    return mapping;
+  }
+
+  function foldIntoRange(key) {
+    while (key < Config.MIN_NOTE) key += 12;
+    while (key > Config.MAX_NOTE) key -= 12;
+    return key;
+  }
+
+  // GM drums land on the first row of the matching kit voice; anything unknown becomes a hi-hat
+  function drumRow(key) {
+    const drum = Config.DRUM_KIT.find(d => d.gm.includes(key));
+    return drum ? drum.low : HIHAT_ROW;
+  }
+
+  // Write mapped sources into State.patterns; mapping: { sourceId: channelIdx | -1 }
+  // Returns a summary of what was imported and what had to be dropped
+  function applyImport(midi, mapping) {
+    const ticksPerStep = midi.ppq / 4;
+    const maxPoly = Audio.getMaxPoly(State.profile);
+    const summary = {
+      imported: 0, folded: 0, beyondEnd: 0, overPoly: 0, duplicates: 0, tempoChanges: 0,
+      songSteps: Math.round(midi.lengthTicks / ticksPerStep) + 1,
+      bpm: null,
+    };
+
+    // Gather quantized notes per target channel and step
+    const targets = State.channels.map(() => new Map());
+    for (const src of midi.sources) {
+      const ch = mapping[src.id];
+      if (ch === undefined || ch < 0) continue;
+      for (const note of src.notes) {
+        const step = Math.round(note.tick / ticksPerStep);
+        if (step >= State.steps) {
+          summary.beyondEnd++;
+          continue;
+        }
+        const drum = State.channels[ch].role === 'perc' && src.channel === 9;
+        let key;
+        if (drum) {
+          key = drumRow(note.key);
+        } else {
+          key = foldIntoRange(note.key);
+          if (key !== note.key) summary.folded++;
+        }
+        // Held notes span the steps to their quantized note-off; drums and unended notes take one
+        const endStep = drum || note.ticks === null ? step + 1 : Math.round((note.tick + note.ticks) / ticksPerStep);
+        const length = Math.max(1, Math.min(endStep - step, State.steps - step));
+        if (!targets[ch].has(step)) targets[ch].set(step, new Map());
+        const keys = targets[ch].get(step);
+        if (keys.has(key)) summary.duplicates++;
+        const prev = keys.get(key) || { velocity: 0, length: 1 };
+        keys.set(key, { velocity: Math.max(prev.velocity, note.velocity), length: Math.max(prev.length, length) });
+      }
+    }
+
+    targets.forEach((steps, ch) => {
+      if (!Object.values(mapping).includes(ch)) return;
+      State.patterns[ch].forEach(cell => cell.clear());
+      const starts = [...steps.keys()].sort((a, b) => a - b);
+      starts.forEach((step, i) => {
+        const keys = steps.get(step);
+        // Over the polyphony limit, keep the lowest notes for Bass and the highest elsewhere
+        const sorted = [...keys.keys()].sort((a, b) => State.channels[ch].role === 'bass' ? a - b : b - a);
+        const kept = sorted.slice(0, maxPoly);
+        summary.overPoly += sorted.length - kept.length;
+        // A one-voice channel can't hold a note past the next one's start
+        const next = i + 1 < starts.length ? starts[i + 1] : State.steps;
+        kept.forEach(key => {
+          const { velocity, length } = keys.get(key);
+          Song.putNote(State.patterns[ch][step], key, { velocity, length: maxPoly === 1 ? Math.min(length, next - step) : length });
+        });
+        summary.imported += kept.length;
+      });
+    });
+
+    // The first tempo sets the BPM; later changes become tempo map breakpoints on this pattern
+    if (midi.tempo) {
+      const toBpm = tempo => Math.max(1, Math.min(Song.MAX_BPM, Math.round(60000000 / tempo)));
+      State.bpm = toBpm(midi.tempo);
+      summary.bpm = State.bpm;
+      const pattern = State.bank[State.editPattern];
+      pattern.tempo = [];
+      for (const { tick, tempo } of midi.tempos.slice(1)) {
+        const step = Math.round(tick / ticksPerStep);
+        if (step < 1 || step >= State.steps) continue;
+        Song.setTempoPoint(pattern, step, toBpm(tempo));
+      }
+      summary.tempoChanges = pattern.tempo.length;
+    }
+    return summary;
+  }
+
+  function describeSummary(summary) {
+    const lines = [`Imported ${summary.imported} notes.`];
+    if (summary.bpm !== null) lines.push(`Tempo set to ${summary.bpm} BPM.`);
+    if (summary.tempoChanges > 0) lines.push(`Added ${summary.tempoChanges} tempo map points from the file's tempo changes.`);
+    if (summary.beyondEnd > 0) {
+      lines.push(`Dropped ${summary.beyondEnd} notes past step ${State.steps} (source is ${summary.songSteps} steps long).`);
+    }
+    if (summary.overPoly > 0) {
+      lines.push(`Dropped ${summary.overPoly} notes over the ${Audio.getProfile(State.profile).label} polyphony limit.`);
+    }
+    if (summary.duplicates > 0) lines.push(`Merged ${summary.duplicates} notes that landed on the same step and pitch.`);
+    if (summary.folded > 0) lines.push(`Folded ${summary.folded} out-of-range notes into the grid by octaves.`);
+    return lines;
+  }
+
+  return { parseMIDI, suggestMapping, applyImport, describeSummary };
+})();
+
+// === Project Files ===
+const Project = (() => {
+  const FORMAT = '8bit-music-generator';
+  const VERSION = 18;
+  // Pattern length of v1-v3 files: a fixed 100 steps of four-step beats, exactly 5 bars of 5/4
+  const LEGACY_STEPS = 100;
+  const LEGACY_BARS = 5;
+  const LEGACY_METER = '5/4';
+  // The hardware profile each of the old bit modes became
+  const LEGACY_PROFILES = { 8: 'nes', 16: 'snes', 32: 'modern' };
+
+  // Upgrade steps keyed by the version they read: MIGRATIONS[n](doc) returns a version n+1 doc.
+  // Add one entry here whenever VERSION is bumped so older files keep loading.
+  const MIGRATIONS = {
+    // v2: generator seed + mode (v1 files predate seeding; their notes are kept as-is)
+    1: doc => ({
+      ...doc,
+      version: 2,
+      song: { ...doc.song, generate: { ...doc.song.generate, seed: 0, mode: 'style' } },
+    }),
+    // v3: pattern bank + order list; the single pattern becomes bank entry A
+    2: doc => {
+      const { patterns, ...song } = doc.song;
+      return {
+        ...doc,
+        version: 3,
+        song: { ...song, bank: [{ name: 'A', patterns }], order: [{ pattern: 0, repeats: 1 }] },
+      };
+    },
+    // v4: pattern length in bars + time signature
+    3: doc => ({
+      ...doc,
+      version: 4,
+      song: { ...doc.song, bars: LEGACY_BARS, timeSig: LEGACY_METER },
+    }),
+    // v5: note lengths and ties; earlier notes were all one step long
+    4: doc => ({
+      ...doc,
+      version: 5,
+      song: {
+        ...doc.song,
+        bank: doc.song.bank.map(pattern => ({
+          ...pattern,
+          patterns: pattern.patterns.map(notes => notes.map(note => ({ ...note, length: 1 }))),
+        })),
+      },
+    }),
+    // v6: per-note velocity; earlier notes all played at the same level
+    5: doc => ({
+      ...doc,
+      version: 6,
+      song: {
+        ...doc.song,
+        bank: doc.song.bank.map(pattern => ({
+          ...pattern,
+          patterns: pattern.patterns.map(notes => notes.map(note => ({ ...note, velocity: Song.DEFAULT_VELOCITY }))),
+        })),
+      },
+    }),
+    // v7: pulse duty cycle per channel; square waves used to be a fixed 50%
+    6: doc => ({
+      ...doc,
+      version: 7,
+      song: { ...doc.song, channels: doc.song.channels.map(ch => ({ ...ch, duty: 0.5 })) },
+    }),
+    // v8: authentic 2A03 triangle/noise toggle + per-channel LFSR mode
+    7: doc => ({
+      ...doc,
+      version: 8,
+      song: {
+        ...doc.song,
+        authentic: false,
+        channels: doc.song.channels.map(ch => ({ ...ch, noiseMode: 'long' })),
+      },
+    }),
+    // v9: tracker effects; notes gain an optional fx column and the generator an effects switch
+    8: doc => ({
+      ...doc,
+      version: 9,
+      song: { ...doc.song, generate: { ...doc.song.generate, effects: false } },
+    }),
+    // v10: drum-kit mode per channel; Perc used to play pitched noise
+    9: doc => ({
+      ...doc,
+      version: 10,
+      song: { ...doc.song, channels: doc.song.channels.map(ch => ({ ...ch, drumKit: false })) },
+    }),
+    // v11: adjustable bit crusher; earlier songs used their bit mode's depth and no rate reduction
+    10: doc => ({
+      ...doc,
+      version: 11,
+      song: { ...doc.song, crush: { depth: Audio.crushDefaults(LEGACY_PROFILES[doc.song.bitMode]).depth, rate: 0 } },
+    }),
+    // v12: stereo panning per channel (notes gain an optional pan); earlier songs were centered
+    11: doc => ({
+      ...doc,
+      version: 12,
+      song: { ...doc.song, channels: doc.song.channels.map(ch => ({ ...ch, pan: 0 })) },
+    }),
+    // v13: hardware profiles replace the 8/16/32-bit modes; channels gain the SID ring mod switch
+    12: doc => {
+      const { bitMode, ...song } = doc.song;
+      return {
+        ...doc,
+        version: 13,
+        song: {
+          ...song,
+          profile: LEGACY_PROFILES[bitMode],
+          channels: song.channels.map(ch => ({ ...ch, ring: false })),
+        },
+      };
+    },
+    // v14: swing and groove templates; earlier songs played straight
+    13: doc => ({
+      ...doc,
+      version: 14,
+      song: { ...doc.song, groove: { template: 'straight', swing: 66, offsets: [0, 0.25] } },
+    }),
+    // v15: per-pattern tempo maps; earlier songs kept one tempo throughout
+    14: doc => ({
+      ...doc,
+      version: 15,
+      song: { ...doc.song, bank: doc.song.bank.map(pattern => ({ ...pattern, tempo: [] })) },
+    }),
+    // v16: effect rack; the fixed 0.25 s delay (an 1/8 at 120 BPM) and the reverb were sent
+    // to by every channel at the levels the profile switched on
+    15: doc => ({
+      ...doc,
+      version: 16,
+      song: {
+        ...doc.song,
+        fx: { delay: { division: '1/8', feedback: 0.3 }, reverb: { size: 1.5, decay: 3 } },
+        channels: doc.song.channels.map(ch => ({
+          ...ch,
+          fx: { ...Config.CHANNEL_FX, ...Audio.sendDefaults(doc.song.profile) },
+        })),
+      },
+    }),
+    // v17: channels can be added and removed, each with a generator role and color; songs had
+    // the fixed Lead, Bass, Arp and Perc
+    16: doc => ({
+      ...doc,
+      version: 17,
+      song: {
+        ...doc.song,
+        channels: doc.song.channels.map((ch, i) => {
+          const role = Config.DEFAULT_CHANNELS[i];
+          return { ...ch, role, color: Config.ROLES[role].color };
+        }),
+      },
+    }),
+    // v18: the 5/4 meter, which older versions reject
+    17: doc => ({ ...doc, version: 18 }),
+  };
+
+  function serialize() {
+    return {
+      format: FORMAT,
+      version: VERSION,
+      savedAt: new Date().toISOString(),
+      song: {
+        bpm: State.bpm,
+        bars: State.bars,
+        timeSig: State.timeSig,
+        profile: State.profile,
+        authentic: State.authentic,
+        crush: { ...State.crush },
+        groove: { ...State.groove, offsets: [...State.groove.offsets] },
+        fx: { delay: { ...State.fx.delay }, reverb: { ...State.fx.reverb } },
+        activePreset: State.activePreset,
+        generate: { ...State.generate },
+        channels: State.channels.map(ch => ({
+          role: ch.role,
+          color: ch.color,
+          waveType: ch.waveType,
+          duty: ch.duty,
+          noiseMode: ch.noiseMode,
+          drumKit: ch.drumKit,
+          ring: ch.ring,
+          volume: ch.volume,
+          pan: ch.pan,
+          fx: { ...ch.fx },
+          muted: ch.muted,
+          solo: ch.solo,
+        })),
+        bank: State.bank.map(pattern => ({
+          name: pattern.name,
+          patterns: serializePattern(pattern.patterns),
+          tempo: pattern.tempo.map(point => ({ ...point })),
+        })),
+        order: State.order.map(entry => ({ pattern: entry.pattern, repeats: entry.repeats })),
+      },
+    };
+  }
+
+  // Sparse note list per channel: only occupied steps are written; tie and fx only when set
+  function serializePattern(channels) {
+    return channels.map(steps => {
+      const notes = [];
+      steps.forEach((cell, step) => {
+        cell.forEach((note, midi) => {
+          const entry = { step, midi, length: note.length, velocity: note.velocity };
+          if (note.tie) entry.tie = true;
+          if (note.fx) entry.fx = note.fx;
+          if (note.pan !== null) entry.pan = note.pan;
+          notes.push(entry);
+        });
+      });
+      return notes;
+    });
+  }
+
+  function migrate(doc) {
+    let current = doc;
+    while (current.version < VERSION) {
+      const upgrade = MIGRATIONS[current.version];
+      if (!upgrade) throw new Error(`No migration from project version ${current.version}`);
+      current = upgrade(current);
+    }
+    return current;
+  }
+
+  // --- Validation helpers: each throws with the path of the offending field ---
+  function fail(path, message) {
+    throw new Error(`Invalid project: ${path} ${message}`);
+  }
+
+  function expectObject(value, path) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) fail(path, 'must be an object');
+  }
+
+  function expectArray(value, path, length) {
+    if (!Array.isArray(value)) fail(path, 'must be an array');
+    if (length !== undefined && value.length !== length) fail(path, `must have ${length} entries`);
+  }
+
+  function expectNumber(value, path, min, max) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) fail(path, 'must be a number');
+    if (value < min || value > max) fail(path, `must be between ${min} and ${max}`);
+  }
+
+  function expectInteger(value, path, min, max) {
+    expectNumber(value, path, min, max);
+    if (!Number.isInteger(value)) fail(path, 'must be a whole number');
+  }
+
+  function expectOneOf(value, path, allowed) {
+    if (!allowed.includes(value)) fail(path, `must be one of: ${allowed.join(', ')}`);
+  }
+
+  function expectBoolean(value, path) {
+    if (typeof value !== 'boolean') fail(path, 'must be true or false');
+  }
+
+  function expectPan(value, path) {
+    expectNumber(value, path, -1, 1);
+    if (Song.quantizePan(value) !== value) fail(path, `must be a multiple of 1/${Config.PAN_STEPS}`);
+  }
+
+  function expectGrooveOffset(value, path) {
+    expectNumber(value, path, -0.5, 0.5);
+    if (Math.round(value * 100) / 100 !== value) fail(path, 'must be in hundredths of a step');
+  }
+
+  // An effect parameter: inside its Config.FX_RANGES range and on its grid
+  function expectFxValue(value, path, key) {
+    const { min, max, scale } = Config.FX_RANGES[key];
+    expectNumber(value, path, min, max);
+    if (Math.round(value * scale) / scale !== value) {
+      fail(path, scale === 1 ? 'must be a whole number' : `must be in steps of ${1 / scale}`);
+    }
+  }
+
+  function validate(song) {
+    expectObject(song, 'song');
+    expectNumber(song.bpm, 'song.bpm', 0, 240);
+    expectOneOf(song.timeSig, 'song.timeSig', Object.keys(Config.METERS));
+    expectInteger(song.bars, 'song.bars', 1, Song.maxBars(song.timeSig));
+    expectOneOf(song.profile, 'song.profile', Audio.getProfiles());
+    expectBoolean(song.authentic, 'song.authentic');
+    expectObject(song.crush, 'song.crush');
+    expectOneOf(song.crush.depth, 'song.crush.depth', Config.CRUSH_DEPTHS);
+    expectOneOf(song.crush.rate, 'song.crush.rate', Config.CRUSH_RATES);
+    expectObject(song.groove, 'song.groove');
+    expectOneOf(song.groove.template, 'song.groove.template', Object.keys(Config.GROOVES));
+    expectInteger(song.groove.swing, 'song.groove.swing', Config.SWING_MIN, Config.SWING_MAX);
+    expectArray(song.groove.offsets, 'song.groove.offsets');
+    if (song.groove.offsets.length < 1 || song.groove.offsets.length > Config.MAX_GROOVE_STEPS) {
+      fail('song.groove.offsets', `must hold 1 to ${Config.MAX_GROOVE_STEPS} offsets`);
+    }
+    song.groove.offsets.forEach((offset, i) => expectGrooveOffset(offset, `song.groove.offsets[${i}]`));
+    expectObject(song.fx, 'song.fx');
+    expectObject(song.fx.delay, 'song.fx.delay');
+    expectOneOf(song.fx.delay.division, 'song.fx.delay.division', Object.keys(Config.DELAY_DIVISIONS));
+    expectFxValue(song.fx.delay.feedback, 'song.fx.delay.feedback', 'feedback');
+    expectObject(song.fx.reverb, 'song.fx.reverb');
+    expectFxValue(song.fx.reverb.size, 'song.fx.reverb.size', 'size');
+    expectFxValue(song.fx.reverb.decay, 'song.fx.reverb.decay', 'decay');
+    expectOneOf(song.activePreset, 'song.activePreset', Object.keys(Presets));
+
+    expectObject(song.generate, 'song.generate');
+    expectOneOf(song.generate.scale, 'song.generate.scale', Object.keys(Config.SCALES));
+    expectInteger(song.generate.rootNote, 'song.generate.rootNote', 0, 11);
+    expectInteger(song.generate.density, 'song.generate.density', 10, 100);
+    expectInteger(song.generate.seed, 'song.generate.seed', 0, 0xFFFFFFFF);
+    expectOneOf(song.generate.mode, 'song.generate.mode', ['style', 'random']);
+    expectBoolean(song.generate.effects, 'song.generate.effects');
+
+    expectArray(song.channels, 'song.channels');
+    if (song.channels.length < 1 || song.channels.length > Config.MAX_CHANNELS) {
+      fail('song.channels', `must hold 1 to ${Config.MAX_CHANNELS} channels`);
+    }
+    song.channels.forEach((ch, i) => {
+      const path = `song.channels[${i}]`;
+      expectObject(ch, path);
+      expectOneOf(ch.role, `${path}.role`, Object.keys(Config.ROLES));
+      if (typeof ch.color !== 'string' || !/^#[0-9a-f]{6}$/.test(ch.color)) fail(`${path}.color`, 'must be a color like #00ffff');
+      expectOneOf(ch.waveType, `${path}.waveType`, Config.WAVE_TYPES);
+      expectOneOf(ch.duty, `${path}.duty`, Config.DUTY_CYCLES);
+      expectOneOf(ch.noiseMode, `${path}.noiseMode`, Config.NOISE_MODES);
+      expectBoolean(ch.drumKit, `${path}.drumKit`);
+      expectBoolean(ch.ring, `${path}.ring`);
+      expectNumber(ch.volume, `${path}.volume`, 0, 1);
+      expectPan(ch.pan, `${path}.pan`);
+      expectObject(ch.fx, `${path}.fx`);
+      expectOneOf(ch.fx.filter, `${path}.fx.filter`, Config.FX_FILTERS);
+      for (const key of ['delay', 'reverb', 'cutoff', 'resonance', 'sweep', 'drive', 'chorus']) {
+        expectFxValue(ch.fx[key], `${path}.fx.${key}`, key);
       }
+      expectBoolean(ch.muted, `${path}.muted`);
+      expectBoolean(ch.solo, `${path}.solo`);
+    });
+
+    expectArray(song.bank, 'song.bank');
+    if (song.bank.length < 1 || song.bank.length > Song.MAX_PATTERNS) {
+      fail('song.bank', `must hold 1 to ${Song.MAX_PATTERNS} patterns`);
     }
+    const names = new Set();
+    song.bank.forEach((pattern, p) => {
+      const path = `song.bank[${p}]`;
+      expectObject(pattern, path);
+      if (typeof pattern.name !== 'string' || !/^[A-Z]$/.test(pattern.name)) fail(`${path}.name`, 'must be a letter A-Z');
+      if (names.has(pattern.name)) fail(`${path}.name`, `duplicates pattern ${pattern.name}`);
+      names.add(pattern.name);
+      const steps = Song.stepCount(song.bars, song.timeSig);
+      validatePattern(pattern.patterns, `${path}.patterns`, steps, song.channels.length);
+      validateTempo(pattern.tempo, `${path}.tempo`, steps);
+    });
+
+    expectArray(song.order, 'song.order');
+    if (song.order.length > Song.MAX_ORDER) fail('song.order', `must have at most ${Song.MAX_ORDER} entries`);
+    song.order.forEach((entry, i) => {
+      const path = `song.order[${i}]`;
+      expectObject(entry, path);
+      expectInteger(entry.pattern, `${path}.pattern`, 0, song.bank.length - 1);
+      expectInteger(entry.repeats, `${path}.repeats`, 1, Song.MAX_REPEATS);
+    });
   }
 
-  // --- Percussion generator ---
-  function generatePerc(density, style) {
-    const pattern = State.patterns[3];
-    const kick = 48, snare = 55, hihat = 64;
+  function validatePattern(channels, path, steps, channelCount) {
+    expectArray(channels, path, channelCount);
+    channels.forEach((notes, ch) => {
+      expectArray(notes, `${path}[${ch}]`);
+      notes.forEach((note, i) => {
+        const notePath = `${path}[${ch}][${i}]`;
+        expectObject(note, notePath);
+        expectInteger(note.step, `${notePath}.step`, 0, steps - 1);
+        expectInteger(note.midi, `${notePath}.midi`, 0, 127);
+        expectInteger(note.length, `${notePath}.length`, 1, steps - note.step);
+        expectInteger(note.velocity, `${notePath}.velocity`, 1, 127);
+        if (note.tie !== undefined) expectBoolean(note.tie, `${notePath}.tie`);
+        if (note.fx !== undefined && !Song.parseFx(note.fx)) {
+          fail(`${notePath}.fx`, 'must be a tracker effect such as "047" or "4A3"');
+        }
+        if (note.pan !== undefined) expectPan(note.pan, `${notePath}.pan`);
+      });
+    });
+  }
 
-    for (let step = 0; step < Config.STEPS; step++) {
-      pattern[step].clear();
-      const beat = step % 8;
-      const phrasePos = step % 16;
+  function validateTempo(points, path, steps) {
+    expectArray(points, path);
+    points.forEach((point, i) => {
+      const pointPath = `${path}[${i}]`;
+      expectObject(point, pointPath);
+      expectInteger(point.step, `${pointPath}.step`, i > 0 ? points[i - 1].step + 1 : 0, steps - 1);
+      expectInteger(point.bpm, `${pointPath}.bpm`, 1, Song.MAX_BPM);
+      expectBoolean(point.ramp, `${pointPath}.ramp`);
+    });
+  }
 
-      // Kick pattern
-      if ((style.kick || [0,4]).includes(beat)) {
-        pattern[step].add(kick);
-      }
+  // Parse and validate a project document; returns the song ready for apply()
+  function parse(text) {
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch (e) {
+      throw new Error('Not a valid project file: the JSON could not be read.');
+    }
+    if (!doc || doc.format !== FORMAT) {
+      throw new Error('Not a valid project file: missing 8-bit Music Generator header.');
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+      throw new Error('Not a valid project file: missing or bad version number.');
+    }
+    if (doc.version > VERSION) {
+      throw new Error(`This project was saved by a newer version (v${doc.version}); this app reads up to v${VERSION}.`);
+    }
+    const song = migrate(doc).song;
+    validate(song);
+    return song;
+  }
 
-      // Snare pattern
-      if ((style.snare || [2,6]).includes(beat)) {
-        pattern[step].add(snare);
-      }
+  // Replace the in-memory song with a validated one
+  function apply(song) {
+    State.bpm = song.bpm;
+    State.bars = song.bars;
+    State.timeSig = song.timeSig;
+    State.profile = song.profile;
+    State.authentic = song.authentic;
+    State.crush = { ...song.crush };
+    State.groove = { ...song.groove, offsets: [...song.groove.offsets] };
+    State.fx = { delay: { ...song.fx.delay }, reverb: { ...song.fx.reverb } };
+    State.activePreset = song.activePreset;
+    State.generate = { ...song.generate };
+    State.channels = song.channels.map(ch => Object.assign(Song.createChannel(ch.role, ch.color), {
+      waveType: ch.waveType,
+      duty: ch.duty,
+      noiseMode: ch.noiseMode,
+      drumKit: ch.drumKit,
+      ring: ch.ring,
+      volume: ch.volume,
+      pan: ch.pan,
+      fx: { ...ch.fx },
+      muted: ch.muted,
+      solo: ch.solo,
+    }));
+    Song.nameChannels();
+    State.activeChannel = Math.min(State.activeChannel, State.channels.length - 1);
+    State.bank = song.bank.map(entry => {
+      const pattern = Song.createPattern(entry.name);
+      pattern.tempo = entry.tempo.map(point => ({ ...point }));
+      pattern.patterns.forEach((steps, ch) => {
+        for (const note of entry.patterns[ch]) {
+          Song.putNote(steps[note.step], note.midi, {
+            length: note.length, tie: note.tie === true, velocity: note.velocity, fx: note.fx || null,
+            pan: note.pan === undefined ? null : note.pan,
+          });
+        }
+      });
+      return pattern;
+    });
+    State.order = song.order.map(entry => ({ pattern: entry.pattern, repeats: entry.repeats }));
+    State.editPattern = Math.min(State.editPattern, State.bank.length - 1);
+    Audio.setProfile(State.profile);
+    Audio.setCrush();
+    Audio.setFx();
+  }
 
-      // Hi-hat pattern
-      const hh = style.hihat || 'eighths';
-      if (hh === 'sixteenths') {
-        if (Math.random() * 100 < density * 1.2) pattern[step].add(hihat);
-      } else if (hh === 'swing') {
-        if ([0,1,3,4,5,7].includes(beat) && Math.random() * 100 < density) pattern[step].add(hihat);
-      } else if (hh === 'sparse') {
-        if (step % 4 === 0 && Math.random() < 0.6) pattern[step].add(hihat);
-      } else {
-        if (step % 2 === 0 && Math.random() * 100 < density) pattern[step].add(hihat);
-      }
+  function save() {
+    const json = JSON.stringify(serialize(), null, 2);
+    Exporter.download(new Blob([json], { type: 'application/json' }), Exporter.buildFilename('json'));
+  }
 
-      // Fills: cluster at phrase boundaries (last 2 steps of 16-step phrases)
-      const fillChance = style.fillChance || 0.15;
-      if (phrasePos >= 14) {
-        // 5x fill chance at phrase endings
-        if (Math.random() < fillChance * 5) {
-          pattern[step].add(pick([kick, snare, hihat]));
-        }
-      } else if (phrasePos < 12) {
-        // Suppress random fills in middle of phrase
-        if (Math.random() < fillChance * 0.2) {
-          pattern[step].add(pick([kick, snare, hihat]));
-        }
+  return { VERSION, LEGACY_STEPS, LEGACY_BARS, LEGACY_METER, LEGACY_PROFILES, serialize, parse, validate, apply, save };
+})();
+
+// === Share Links ===
+// Songs are bit-packed and base64url-encoded into the URL fragment: index.html#song=...
+const Share = (() => {
+  const VERSION = 18;
+  const HASH_PREFIX = '#song=';
+
+  // Field widths in bits
+  const BITS = { version: 8, bpm: 8, bitMode: 2, profile: 3, preset: 6, scale: 5, root: 4, density: 7, seed: 32, wave: 3, duty: 2, volume: 7, midi: 7,
+    bankSize: 5, patternName: 5, orderLength: 7, orderPattern: 5, repeats: 4, bars: 4, timeSig: 3, length: 8, velocity: 7,
+    fxCommand: 3, fxValue: 8, crushDepth: 3, crushRate: 3, pan: 6, groove: 2, swing: 5, grooveSteps: 4, grooveOffset: 7,
+    tempoPoints: 9, tempoStep: 8, tempoBpm: 8, delayDivision: 2, fxFilter: 2, channelCount: 4, role: 3, color: 24 };
+  // Effect parameters are written as steps of their Config.FX_RANGES grid, just wide enough for the range
+  const CHANNEL_FX_KEYS = ['delay', 'reverb', 'cutoff', 'resonance', 'sweep', 'drive', 'chorus'];
+
+  function createWriter() {
+    const bytes = [];
+    let bitPos = 0;
+    function write(value, width) {
+      for (let i = width - 1; i >= 0; i--) {
+        if (bitPos % 8 === 0) bytes.push(0);
+        if ((value >> i) & 1) bytes[bytes.length - 1] |= 0x80 >> (bitPos % 8);
+        bitPos++;
       }
     }
+    return { write, bytes: () => Uint8Array.from(bytes) };
   }
 
-  // --- Apply preset ---
-  function applyPreset(presetName) {
-    const p = Presets[presetName];
-    if (!p) return;
+  function createReader(bytes) {
+    let bitPos = 0;
+    function read(width) {
+      let value = 0;
+      for (let i = 0; i < width; i++) {
+        const byte = bytes[bitPos >> 3];
+        if (byte === undefined) throw new Error('Share link is truncated.');
+        value = (value << 1) | ((byte >> (7 - (bitPos & 7))) & 1);
+        bitPos++;
+      }
+      return value;
+    }
+    return { read };
+  }
 
-    State.activePreset = presetName;
-    State.generate.scale = p.scale;
-    State.generate.rootNote = p.root;
-    State.generate.density = p.density;
-    State.bpm = p.bpm;
+  function toBase64Url(bytes) {
+    let bin = '';
+    bytes.forEach(b => { bin += String.fromCharCode(b); });
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
 
-    if (p.waves) {
-      p.waves.forEach((w, i) => { State.channels[i].waveType = w; });
+  function fromBase64Url(text) {
+    const b64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    let bin;
+    try {
+      bin = atob(b64);
+    } catch (e) {
+      throw new Error('Share link is corrupted.');
     }
+    return Uint8Array.from(bin, c => c.charCodeAt(0));
   }
 
-  function generateAll() {
-    const p = Presets[State.activePreset] || Presets['chiptune'];
-    const { scale, rootNote, density } = State.generate;
+  // Lookup tables shared by encode and decode; order must never change within a version
+  function tables() {
+    return {
+      bitModes: [8, 16, 32], // links before v13
+      profiles: Audio.getProfiles(),
+      presets: Object.keys(Presets),
+      scales: Object.keys(Config.SCALES),
+      meters: Object.keys(Config.METERS),
+      grooves: Object.keys(Config.GROOVES),
+      divisions: Object.keys(Config.DELAY_DIVISIONS),
+      roles: Object.keys(Config.ROLES),
+    };
+  }
 
-    const chordMap = buildChordMap(scale, rootNote, p.progression || 'I-IV-V-I');
+  function encode(song) {
+    const t = tables();
+    const w = createWriter();
+    w.write(VERSION, BITS.version);
+    w.write(Math.round(song.bpm), BITS.bpm);
+    w.write(t.profiles.indexOf(song.profile), BITS.profile);
+    w.write(t.presets.indexOf(song.activePreset), BITS.preset);
+    w.write(t.scales.indexOf(song.generate.scale), BITS.scale);
+    w.write(song.generate.rootNote, BITS.root);
+    w.write(song.generate.density, BITS.density);
+    w.write(song.generate.seed >>> 16, BITS.seed / 2);
+    w.write(song.generate.seed & 0xFFFF, BITS.seed / 2);
+    w.write(song.generate.mode === 'random' ? 1 : 0, 1);
+    w.write(song.generate.effects ? 1 : 0, 1);
+
+    w.write(song.channels.length - 1, BITS.channelCount);
+    for (const ch of song.channels) {
+      w.write(t.roles.indexOf(ch.role), BITS.role);
+      w.write(parseInt(ch.color.slice(1), 16), BITS.color);
+      w.write(Config.WAVE_TYPES.indexOf(ch.waveType), BITS.wave);
+      w.write(Config.DUTY_CYCLES.indexOf(ch.duty), BITS.duty);
+      w.write(ch.noiseMode === 'short' ? 1 : 0, 1);
+      w.write(ch.drumKit ? 1 : 0, 1);
+      w.write(ch.ring ? 1 : 0, 1);
+      w.write(Math.round(ch.volume * 100), BITS.volume);
+      writePan(w, ch.pan);
+      w.write(ch.muted ? 1 : 0, 1);
+      w.write(ch.solo ? 1 : 0, 1);
+    }
 
-    generateLead(scale, rootNote, density, p.lead, chordMap);
-    generateBass(scale, rootNote, density, p.bass, chordMap);
-    generateArp(scale, rootNote, density, p.arp, chordMap);
-    generatePerc(density, p.perc);
-    UI.renderGrid();
+    w.write(song.bars - 1, BITS.bars);
+    w.write(t.meters.indexOf(song.timeSig), BITS.timeSig);
+    w.write(song.authentic ? 1 : 0, 1);
+    w.write(Config.CRUSH_DEPTHS.indexOf(song.crush.depth), BITS.crushDepth);
+    w.write(Config.CRUSH_RATES.indexOf(song.crush.rate), BITS.crushRate);
+    w.write(t.grooves.indexOf(song.groove.template), BITS.groove);
+    w.write(song.groove.swing - Config.SWING_MIN, BITS.swing);
+    w.write(song.groove.offsets.length - 1, BITS.grooveSteps);
+    for (const offset of song.groove.offsets) w.write(Math.round(offset * 100) + 50, BITS.grooveOffset);
+    w.write(t.divisions.indexOf(song.fx.delay.division), BITS.delayDivision);
+    writeFxValue(w, 'feedback', song.fx.delay.feedback);
+    writeFxValue(w, 'size', song.fx.reverb.size);
+    writeFxValue(w, 'decay', song.fx.reverb.decay);
+    for (const ch of song.channels) {
+      w.write(Config.FX_FILTERS.indexOf(ch.fx.filter), BITS.fxFilter);
+      for (const key of CHANNEL_FX_KEYS) writeFxValue(w, key, ch.fx[key]);
+    }
+    const steps = Song.stepCount(song.bars, song.timeSig);
+    w.write(song.bank.length - 1, BITS.bankSize);
+    for (const pattern of song.bank) {
+      w.write(pattern.name.charCodeAt(0) - 65, BITS.patternName);
+      writePattern(w, pattern.patterns, steps);
+      writeTempo(w, pattern.tempo);
+    }
+    w.write(song.order.length, BITS.orderLength);
+    for (const entry of song.order) {
+      w.write(entry.pattern, BITS.orderPattern);
+      w.write(entry.repeats - 1, BITS.repeats);
+    }
+    return toBase64Url(w.bytes());
   }
 
-  function generateRandom() {
-    // Pick a random scale, root, density, BPM, waves, and preset style
-    const scaleNames = Object.keys(Config.SCALES);
-    const presetNames = Object.keys(Presets);
-    const allWaves = ['square', 'triangle', 'sawtooth', 'sine', 'noise'];
-
-    const randScale = pick(scaleNames);
-    const randRoot = Math.floor(Math.random() * 12);
-    const randDensity = 20 + Math.floor(Math.random() * 65);
-    const randBpm = 55 + Math.floor(Math.random() * 160);
-    const randPreset = pick(presetNames);
-    const p = Presets[randPreset];
+  // Pan as a 6-bit index into the PAN_STEPS grid
+  function writePan(w, pan) {
+    w.write(Math.round((pan + 1) * Config.PAN_STEPS), BITS.pan);
+  }
 
-    // Apply random settings to state
-    State.generate.scale = randScale;
-    State.generate.rootNote = randRoot;
-    State.generate.density = randDensity;
-    State.bpm = randBpm;
-    State.activePreset = randPreset;
+  function readPan(r) {
+    return r.read(BITS.pan) / Config.PAN_STEPS - 1;
+  }
 
-    // Randomize wave types per channel
-    State.channels[0].waveType = pick(allWaves.filter(w => w !== 'noise'));
-    State.channels[1].waveType = pick(allWaves.filter(w => w !== 'noise'));
-    State.channels[2].waveType = pick(allWaves.filter(w => w !== 'noise'));
-    State.channels[3].waveType = 'noise';
+  function fxBits(key) {
+    const { min, max, scale } = Config.FX_RANGES[key];
+    return Math.ceil(Math.log2(Math.round((max - min) * scale) + 1));
+  }
 
-    // Pick random progression
-    const progNames = Object.keys(PROGRESSIONS);
-    const randProg = pick(progNames);
+  function writeFxValue(w, key, value) {
+    const { min, scale } = Config.FX_RANGES[key];
+    w.write(Math.round((value - min) * scale), fxBits(key));
+  }
 
-    // Pick random lead/bass/arp/perc styles from random presets
-    const randLeadPreset = Presets[pick(presetNames)];
-    const randBassPreset = Presets[pick(presetNames)];
-    const randArpPreset = Presets[pick(presetNames)];
-    const randPercPreset = Presets[pick(presetNames)];
+  function readFxValue(r, key) {
+    const { min, scale } = Config.FX_RANGES[key];
+    return (r.read(fxBits(key)) + Math.round(min * scale)) / scale;
+  }
 
-    const chordMap = buildChordMap(randScale, randRoot, randProg);
+  // Tempo map: point count, then each point's step, BPM and ramp bit
+  function writeTempo(w, points) {
+    w.write(points.length, BITS.tempoPoints);
+    for (const point of points) {
+      w.write(point.step, BITS.tempoStep);
+      w.write(point.bpm, BITS.tempoBpm);
+      w.write(point.ramp ? 1 : 0, 1);
+    }
+  }
 
-    generateLead(randScale, randRoot, randDensity, randLeadPreset.lead, chordMap);
-    generateBass(randScale, randRoot, randDensity, randBassPreset.bass, chordMap);
-    generateArp(randScale, randRoot, randDensity, randArpPreset.arp, chordMap);
-    generatePerc(randDensity, randPercPreset.perc);
-    UI.renderGrid();
+  function readTempo(r) {
+    const points = [];
+    const count = r.read(BITS.tempoPoints);
+    for (let i = 0; i < count; i++) {
+      points.push({ step: r.read(BITS.tempoStep), bpm: r.read(BITS.tempoBpm), ramp: r.read(1) === 1 });
+    }
+    return points;
   }
 
-  function clearAll() {
-    for (let ch = 0; ch < 4; ch++) {
-      for (let step = 0; step < Config.STEPS; step++) {
-        State.patterns[ch][step].clear();
+  // Per step: 1 presence bit, then each note as 7-bit MIDI, a "long" bit (+ 8-bit length - 1),
+  // a tie bit, an "accent" bit (+ 7-bit velocity when not the default), an effect bit
+  // (+ 3-bit command, 8-bit value), a pan bit (+ 6-bit pan) and a "more notes" bit
+  function writePattern(w, channels, steps) {
+    for (const notes of channels) {
+      const byStep = Array.from({ length: steps }, () => []);
+      for (const note of notes) byStep[note.step].push(note);
+      for (const cell of byStep) {
+        w.write(cell.length > 0 ? 1 : 0, 1);
+        cell.forEach((note, i) => {
+          w.write(note.midi, BITS.midi);
+          w.write(note.length > 1 ? 1 : 0, 1);
+          if (note.length > 1) w.write(note.length - 1, BITS.length);
+          w.write(note.tie ? 1 : 0, 1);
+          const accented = note.velocity !== Song.DEFAULT_VELOCITY;
+          w.write(accented ? 1 : 0, 1);
+          if (accented) w.write(note.velocity, BITS.velocity);
+          const fx = Song.parseFx(note.fx);
+          w.write(fx ? 1 : 0, 1);
+          if (fx) {
+            w.write(Config.FX_COMMANDS.indexOf(fx.cmd), BITS.fxCommand);
+            w.write(fx.value, BITS.fxValue);
+          }
+          w.write(note.pan !== undefined ? 1 : 0, 1);
+          if (note.pan !== undefined) writePan(w, note.pan);
+          w.write(i < cell.length - 1 ? 1 : 0, 1);
+        });
       }
     }
-    UI.renderGrid();
   }
 
-  return { generateAll, generateRandom, clearAll, applyPreset };
-})();
-
-// === Exporter ===
-const Exporter = (() => {
-  function exportWAV(customDurationSec) {
-    const sampleRate = 44100;
-    const stepDur = Audio.getStepDuration();
-    if (!Number.isFinite(stepDur) || stepDur <= 0) {
-      alert('Set BPM above 0 before exporting.');
-      return;
+  // Links before v5 carry no lengths or ties (every note is one step), before v6 no velocities,
+  // before v9 no effects, before v12 no pans
+  function readPattern(r, steps, version, channelCount) {
+    const channels = [];
+    for (let ch = 0; ch < channelCount; ch++) {
+      const notes = [];
+      for (let step = 0; step < steps; step++) {
+        if (!r.read(1)) continue;
+        let more = 1;
+        while (more) {
+          const note = { step, midi: r.read(BITS.midi), length: 1, velocity: Song.DEFAULT_VELOCITY };
+          if (version >= 5) {
+            if (r.read(1)) note.length = r.read(BITS.length) + 1;
+            if (r.read(1)) note.tie = true;
+          }
+          if (version >= 6 && r.read(1)) note.velocity = r.read(BITS.velocity);
+          if (version >= 9 && r.read(1)) {
+            const cmd = Config.FX_COMMANDS[r.read(BITS.fxCommand)];
+            note.fx = cmd + hexByte(r.read(BITS.fxValue));
+          }
+          if (version >= 12 && r.read(1)) note.pan = readPan(r);
+          notes.push(note);
+          more = r.read(1);
+        }
+      }
+      channels.push(notes);
     }
-    const patternDuration = Config.STEPS * stepDur;
-    const wantDuration = (Number.isFinite(customDurationSec) && customDurationSec > 0)
-      ? customDurationSec
-      : patternDuration;
-
-    // Render ONE pattern loop + tail for effects, then tile the audio to fill duration
-    const loopRenderDur = patternDuration + 2; // +2s for delay/reverb tail
-    console.log(`Export: rendering 1 loop (${patternDuration.toFixed(1)}s), tiling to ${wantDuration.toFixed(1)}s`);
+    return channels;
+  }
 
-    const offlineCtx = new OfflineAudioContext(2, Math.ceil(loopRenderDur * sampleRate), sampleRate);
+  function readChannelRole(r, version, t, index) {
+    if (version < 17) {
+      const role = Config.DEFAULT_CHANNELS[index];
+      return { role, color: Config.ROLES[role].color };
+    }
+    return { role: t.roles[r.read(BITS.role)], color: '#' + r.read(BITS.color).toString(16).padStart(6, '0') };
+  }
 
-    const masterGain = offlineCtx.createGain();
-    masterGain.gain.value = 0.5;
+  function hexByte(n) {
+    return n.toString(16).toUpperCase().padStart(2, '0');
+  }
 
-    const bitCfg = {
-      8:  { q: 8,   cut: 4000,  g: 0.55, maxPoly: 1,        hasDelay: false, hasReverb: false },
-      16: { q: 128, cut: 12000, g: 0.5,  maxPoly: 2,        hasDelay: true,  hasReverb: false },
-      32: { q: 0,   cut: 22050, g: 0.5,  maxPoly: Infinity, hasDelay: true,  hasReverb: true  },
+  function decode(text) {
+    const t = tables();
+    const r = createReader(fromBase64Url(text));
+    const version = r.read(BITS.version);
+    if (version < 1 || version > VERSION) {
+      throw new Error(`Unsupported share link version (${version}).`);
+    }
+    const song = {
+      bpm: r.read(BITS.bpm),
+      bars: Project.LEGACY_BARS,
+      timeSig: Project.LEGACY_METER,
+      // v13 replaced the 8/16/32 bit mode with a hardware profile
+      profile: version >= 13 ? t.profiles[r.read(BITS.profile)] : Project.LEGACY_PROFILES[t.bitModes[r.read(BITS.bitMode)]],
+      authentic: false,
+      activePreset: t.presets[r.read(BITS.preset)],
+      generate: {
+        scale: t.scales[r.read(BITS.scale)],
+        rootNote: r.read(BITS.root),
+        density: r.read(BITS.density),
+        seed: 0,
+        mode: 'style',
+        effects: false,
+      },
     };
-    const cfg = bitCfg[State.bitMode] || bitCfg[32];
-
-    const loFilter = offlineCtx.createBiquadFilter();
-    loFilter.type = 'lowpass';
-    loFilter.frequency.value = cfg.cut;
-    loFilter.Q.value = 0.7;
-
-    const crusher = offlineCtx.createWaveShaper();
-    crusher.oversample = 'none';
-    const curveLen = 8192;
-    const curve = new Float32Array(curveLen);
-    if (cfg.q <= 0) {
-      for (let i = 0; i < curveLen; i++) curve[i] = (i * 2) / curveLen - 1;
+    // v2 added the generator seed and mode; v1 links fall back to the defaults above
+    if (version >= 2) {
+      song.generate.seed = ((r.read(BITS.seed / 2) << 16) | r.read(BITS.seed / 2)) >>> 0;
+      song.generate.mode = r.read(1) ? 'random' : 'style';
+    }
+    // v9 added the generator's effects switch
+    if (version >= 9) song.generate.effects = r.read(1) === 1;
+    // v7 added the pulse duty cycle, v8 the LFSR mode, v10 drum-kit mode, v12 pan and v13 ring mod;
+    // older links play 50% squares, long noise, pitched Perc and centered channels.
+    // v17 added the channel count, roles and colors; older links hold the default four
+    const channelCount = version >= 17 ? r.read(BITS.channelCount) + 1 : Config.DEFAULT_CHANNELS.length;
+    song.channels = Array.from({ length: channelCount }, (_, i) => ({
+      ...readChannelRole(r, version, t, i),
+      waveType: Config.WAVE_TYPES[r.read(BITS.wave)],
+      duty: version >= 7 ? Config.DUTY_CYCLES[r.read(BITS.duty)] : 0.5,
+      noiseMode: version >= 8 && r.read(1) ? 'short' : 'long',
+      drumKit: version >= 10 && r.read(1) === 1,
+      ring: version >= 13 && r.read(1) === 1,
+      volume: r.read(BITS.volume) / 100,
+      pan: version >= 12 ? readPan(r) : 0,
+      muted: r.read(1) === 1,
+      solo: r.read(1) === 1,
+    }));
+    // v4 added pattern length + meter; older links hold fixed 100-step patterns
+    let steps = Project.LEGACY_STEPS;
+    if (version >= 4) {
+      song.bars = r.read(BITS.bars) + 1;
+      // v18 widened the meter for 5/4
+      song.timeSig = t.meters[r.read(version >= 18 ? BITS.timeSig : 2)];
+      steps = Song.stepCount(song.bars, song.timeSig);
+    }
+    // v8 added the authentic 2A03 toggle
+    if (version >= 8) song.authentic = r.read(1) === 1;
+    // v11 added the crusher settings; older links use their bit mode's depth and no rate reduction
+    if (version >= 11) {
+      song.crush = { depth: Config.CRUSH_DEPTHS[r.read(BITS.crushDepth)], rate: Config.CRUSH_RATES[r.read(BITS.crushRate)] };
     } else {
-      for (let i = 0; i < curveLen; i++) {
-        const x = (i * 2) / curveLen - 1;
-        curve[i] = Math.round(x * cfg.q) / cfg.q;
+      song.crush = { depth: Audio.crushDefaults(song.profile).depth, rate: 0 };
+    }
+    // v14 added the groove; older links play straight
+    song.groove = { template: 'straight', swing: 66, offsets: [0, 0.25] };
+    if (version >= 14) {
+      song.groove.template = t.grooves[r.read(BITS.groove)];
+      song.groove.swing = r.read(BITS.swing) + Config.SWING_MIN;
+      const count = r.read(BITS.grooveSteps) + 1;
+      song.groove.offsets = [];
+      for (let i = 0; i < count; i++) song.groove.offsets.push((r.read(BITS.grooveOffset) - 50) / 100);
+    }
+    // v16 added the effect rack; older links send to the fixed delay and reverb as their profile did
+    song.fx = { delay: { division: '1/8', feedback: 0.3 }, reverb: { size: 1.5, decay: 3 } };
+    song.channels.forEach(ch => { ch.fx = { ...Config.CHANNEL_FX, ...Audio.sendDefaults(song.profile) }; });
+    if (version >= 16) {
+      song.fx.delay = { division: t.divisions[r.read(BITS.delayDivision)], feedback: readFxValue(r, 'feedback') };
+      song.fx.reverb = { size: readFxValue(r, 'size'), decay: readFxValue(r, 'decay') };
+      for (const ch of song.channels) {
+        ch.fx.filter = Config.FX_FILTERS[r.read(BITS.fxFilter)];
+        for (const key of CHANNEL_FX_KEYS) ch.fx[key] = readFxValue(r, key);
       }
     }
-    crusher.curve = curve;
-
-    const outGain = offlineCtx.createGain();
-    outGain.gain.value = cfg.g;
-
-    masterGain.connect(loFilter);
-    loFilter.connect(crusher);
-    crusher.connect(outGain);
-    outGain.connect(offlineCtx.destination);
-
-    if (cfg.hasDelay) {
-      const delay = offlineCtx.createDelay(1.0);
-      delay.delayTime.value = 0.25;
-      const fb = offlineCtx.createGain();
-      fb.gain.value = 0.3;
-      const wet = offlineCtx.createGain();
-      wet.gain.value = 0.15;
-      delay.connect(fb);
-      fb.connect(delay);
-      delay.connect(wet);
-      outGain.connect(delay);
-      wet.connect(offlineCtx.destination);
-    }
-
-    if (cfg.hasReverb) {
-      const convolver = offlineCtx.createConvolver();
-      const irLength = sampleRate * 1.5;
-      const ir = offlineCtx.createBuffer(2, irLength, sampleRate);
-      for (let c = 0; c < 2; c++) {
-        const d = ir.getChannelData(c);
-        for (let i = 0; i < irLength; i++) {
-          d[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / irLength, 3);
-        }
+    // v3 added the pattern bank and order list; older links hold a single pattern
+    if (version >= 3) {
+      const bankSize = r.read(BITS.bankSize) + 1;
+      song.bank = [];
+      for (let p = 0; p < bankSize; p++) {
+        const name = String.fromCharCode(65 + r.read(BITS.patternName));
+        // v15 added a tempo map per pattern
+        const patterns = readPattern(r, steps, version, channelCount);
+        song.bank.push({ name, patterns, tempo: version >= 15 ? readTempo(r) : [] });
+      }
+      const orderLength = r.read(BITS.orderLength);
+      song.order = [];
+      for (let i = 0; i < orderLength; i++) {
+        song.order.push({ pattern: r.read(BITS.orderPattern), repeats: r.read(BITS.repeats) + 1 });
       }
-      convolver.buffer = ir;
-      const rWet = offlineCtx.createGain();
-      rWet.gain.value = 0.2;
-      convolver.connect(rWet);
-      outGain.connect(convolver);
-      rWet.connect(offlineCtx.destination);
+    } else {
+      song.bank = [{ name: 'A', patterns: readPattern(r, steps, version, channelCount), tempo: [] }];
+      song.order = [{ pattern: 0, repeats: 1 }];
     }
+    Project.validate(song);
+    return song;
+  }
 
-    const bufferSize = sampleRate * 2;
-    const noiseBuffer = offlineCtx.createBuffer(1, bufferSize, sampleRate);
-    const noiseData = noiseBuffer.getChannelData(0);
-    for (let i = 0; i < bufferSize; i++) {
-      noiseData[i] = Math.random() * 2 - 1;
-    }
+  function buildLink() {
+    const base = location.href.split('#')[0];
+    return base + HASH_PREFIX + encode(Project.serialize().song);
+  }
 
-    // Schedule exactly one pattern loop
-    for (let ch = 0; ch < 4; ch++) {
-      const channelCfg = State.channels[ch];
-      if (channelCfg.muted) continue;
-      const anySolo = State.channels.some(c => c.solo);
-      if (anySolo && !channelCfg.solo) continue;
+  // Apply a song from the current URL fragment; returns true if one was found
+  function loadFromHash() {
+    if (!location.hash.startsWith(HASH_PREFIX)) return false;
+    Project.apply(decode(location.hash.slice(HASH_PREFIX.length)));
+    return true;
+  }
+
+  return { encode, decode, buildLink, loadFromHash };
+})();
 
-      const wave = Audio.clampWaveType(channelCfg.waveType, State.bitMode);
+// === Undo / Redo History ===
+// Each entry holds serialized song snapshots from before and after one user command.
+// Gestures (drag painting, slider drags) stay open between begin() and end() so they
+// collapse into a single entry.
+const History = (() => {
+  const LIMIT = 100;
+  const undoStack = [];
+  const redoStack = [];
+  let pending = null; // { label, before } while a command or gesture is open
+
+  function snapshot() {
+    return JSON.stringify(Project.serialize().song);
+  }
 
-      for (let s = 0; s < Config.STEPS; s++) {
-        const notes = State.patterns[ch][s];
-        if (!notes || notes.size === 0) continue;
+  function restore(json) {
+    Project.apply(JSON.parse(json));
+    UI.syncAll();
+  }
 
-        const time = s * stepDur;
-        const dur = stepDur * 0.8;
+  function begin(label) {
+    if (pending) return;
+    pending = { label, before: snapshot() };
+  }
 
-        let count = 0;
-        for (const midi of notes) {
-          if (count >= cfg.maxPoly) break;
-
-          const gain = offlineCtx.createGain();
-          gain.gain.setValueAtTime(channelCfg.volume * 0.3, time);
-          gain.gain.exponentialRampToValueAtTime(0.001, time + dur);
-          gain.connect(masterGain);
-
-          if (wave === 'noise') {
-            const src = offlineCtx.createBufferSource();
-            src.buffer = noiseBuffer;
-            src.playbackRate.value = Audio.midiToFreq(midi) / 440;
-            src.connect(gain);
-            src.start(time);
-            src.stop(time + dur);
-          } else {
-            const osc = offlineCtx.createOscillator();
-            osc.type = wave;
-            osc.frequency.setValueAtTime(Audio.midiToFreq(midi), time);
-            osc.connect(gain);
-            osc.start(time);
-            osc.stop(time + dur);
-          }
-          count++;
-        }
-      }
+  function end() {
+    if (!pending) return;
+    const after = snapshot();
+    if (after !== pending.before) {
+      undoStack.push({ label: pending.label, before: pending.before, after });
+      if (undoStack.length > LIMIT) undoStack.shift();
+      redoStack.length = 0;
+      Autosave.schedule(pending.label);
     }
+    pending = null;
+  }
 
-    offlineCtx.startRendering().then(loopBuffer => {
-      // Tile the rendered loop to fill the requested duration
-      const blob = encodeWAVTiled(loopBuffer, patternDuration, wantDuration);
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      // Build descriptive filename: style_scale_root_BPM_bitmode_seq.wav
-      const style = (State.activePreset || 'unknown').replace(/[^a-zA-Z0-9-]/g, '');
-      const scale = (State.generate.scale || 'pentatonic').replace(/[^a-zA-Z]/g, '');
-      const root = Config.NOTE_NAMES[State.generate.rootNote] || 'C';
-      const bpm = State.bpm || 120;
-      const bits = State.bitMode || 8;
-      const seq = String(Date.now()).slice(-10);
-      a.download = `${style}_${scale}_${root}_${bpm}bpm_${bits}bit_${seq}.wav`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-      console.log('Export complete:', (wantDuration).toFixed(1) + 's');
-    }).catch(err => {
-      console.error('Rendering failed:', err);
-      alert('Export rendering failed: ' + err.message);
-    });
+  // Run fn as one undoable command; closes any gesture still open
+  function perform(label, fn) {
+    end();
+    begin(label);
+    try {
+      return fn();
+    } finally {
+      end();
+    }
   }
 
-  // Pre-encode one loop of audio into an interleaved Int16Array (fast, typed array)
-  function encodeLoopChunk(loopBuffer, loopSamples) {
-    const numCh = loopBuffer.numberOfChannels;
-    const channels = [];
-    for (let c = 0; c < numCh; c++) channels.push(loopBuffer.getChannelData(c));
+  function undo() {
+    end();
+    const entry = undoStack.pop();
+    if (!entry) return;
+    restore(entry.before);
+    redoStack.push(entry);
+    Autosave.schedule(`Undo ${entry.label}`);
+  }
 
-    const chunk = new Int16Array(loopSamples * numCh);
-    let idx = 0;
-    for (let i = 0; i < loopSamples; i++) {
-      for (let c = 0; c < numCh; c++) {
-        const s = Math.max(-1, Math.min(1, channels[c][i]));
-        chunk[idx++] = s < 0 ? s * 0x8000 : s * 0x7FFF;
-      }
-    }
-    return chunk;
+  function redo() {
+    end();
+    const entry = redoStack.pop();
+    if (!entry) return;
+    restore(entry.after);
+    undoStack.push(entry);
+    Autosave.schedule(`Redo ${entry.label}`);
   }
 
-  // Build WAV as Blob from chunks — avoids allocating one giant ArrayBuffer
-  function encodeWAVTiled(loopBuffer, loopDurationSec, totalDurationSec) {
-    const numCh = loopBuffer.numberOfChannels;
-    const sampleRate = loopBuffer.sampleRate;
-    const loopSamples = Math.round(loopDurationSec * sampleRate);
-    const totalSamples = Math.round(totalDurationSec * sampleRate);
-    const dataSize = totalSamples * numCh * 2;
+  return { begin, end, perform, undo, redo };
+})();
 
-    // 44-byte WAV header
-    const header = new ArrayBuffer(44);
-    const v = new DataView(header);
-    function ws(off, str) { for (let i = 0; i < str.length; i++) v.setUint8(off + i, str.charCodeAt(i)); }
-    ws(0, 'RIFF');
-    v.setUint32(4, 36 + dataSize, true);
-    ws(8, 'WAVE');
-    ws(12, 'fmt ');
-    v.setUint32(16, 16, true);
-    v.setUint16(20, 1, true);
-    v.setUint16(22, numCh, true);
-    v.setUint32(24, sampleRate, true);
-    v.setUint32(28, sampleRate * numCh * 2, true);
-    v.setUint16(32, numCh * 2, true);
-    v.setUint16(34, 16, true);
-    ws(36, 'data');
-    v.setUint32(40, dataSize, true);
+// === Autosave ===
+// The working song is written to localStorage shortly after every edit. Each save lands in a
+// timestamped revision; edits less than a minute apart update the newest revision instead of
+// adding one. When storage is full the oldest revisions are pruned first.
+const Autosave = (() => {
+  const PREFIX = '8bit-music-generator:';
+  const INDEX_KEY = PREFIX + 'revisions';
+  const DELAY = 1500; // ms after the last edit
+  const REVISION_INTERVAL = 60 * 1000;
+  const MAX_REVISIONS = 50;
+  let timer = null;
+  let pendingLabel = '';
+  let warnedFull = false;
+
+  function revisionKey(id) {
+    return PREFIX + 'rev:' + id;
+  }
 
-    // Encode one loop as Int16 interleaved PCM
-    const loopChunk = encodeLoopChunk(loopBuffer, loopSamples);
-    const loopBytes = new Uint8Array(loopChunk.buffer);
+  // Revision index, oldest first: [{ id, savedAt, label, summary }]
+  function list() {
+    try {
+      const index = JSON.parse(localStorage.getItem(INDEX_KEY));
+      return Array.isArray(index) ? index : [];
+    } catch (e) {
+      return [];
+    }
+  }
 
-    // Build blob from header + repeated loop chunks
-    const parts = [header];
-    const fullLoops = Math.floor(totalSamples / loopSamples);
-    const remainSamples = totalSamples % loopSamples;
+  function writeIndex(index) {
+    localStorage.setItem(INDEX_KEY, JSON.stringify(index));
+  }
 
-    for (let i = 0; i < fullLoops; i++) {
-      parts.push(loopBytes);
+  function isQuotaError(err) {
+    return err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err.code === 22);
+  }
+
+  // Drop the oldest revision other than keepId; returns false when nothing is left to drop or
+  // storage refuses
+  function pruneOldest(index, keepId) {
+    const pos = index.findIndex(rev => rev.id !== keepId);
+    if (pos < 0) return false;
+    const [rev] = index.splice(pos, 1);
+    try {
+      localStorage.removeItem(revisionKey(rev.id));
+      writeIndex(index);
+    } catch (err) {
+      return false;
     }
+    return true;
+  }
 
-    // Partial final loop
-    if (remainSamples > 0) {
-      const partialBytes = remainSamples * numCh * 2;
-      parts.push(loopBytes.slice(0, partialBytes));
+  function describe(song) {
+    return `${song.bank.length} pattern${song.bank.length === 1 ? '' : 's'}, ${song.bars} bars of ${song.timeSig}, ${Math.round(song.bpm)} BPM`;
+  }
+
+  // Edits arrive from History; the save runs once they pause
+  function schedule(label) {
+    pendingLabel = label;
+    clearTimeout(timer);
+    timer = setTimeout(flush, DELAY);
+  }
+
+  function flush() {
+    if (!timer) return;
+    clearTimeout(timer);
+    timer = null;
+    const doc = Project.serialize();
+    const text = JSON.stringify(doc);
+    const now = Date.now();
+    const index = list();
+    const latest = index[index.length - 1];
+    const entry = latest && now - latest.id < REVISION_INTERVAL
+      ? latest
+      : { id: now };
+    Object.assign(entry, { savedAt: doc.savedAt, label: pendingLabel, summary: describe(doc.song) });
+    if (entry !== latest) index.push(entry);
+
+    // Every storage call stays inside the try: private modes can throw on any of them
+    for (;;) {
+      try {
+        while (index.length > MAX_REVISIONS) {
+          localStorage.removeItem(revisionKey(index.shift().id));
+        }
+        localStorage.setItem(revisionKey(entry.id), text);
+        writeIndex(index);
+        return;
+      } catch (err) {
+        if (isQuotaError(err) && pruneOldest(index, entry.id)) continue;
+        console.error('Autosave failed:', err);
+        if (!warnedFull) {
+          warnedFull = true;
+          alert('Autosave failed: browser storage is full or unavailable. Use SAVE to keep a copy of your song.');
+        }
+        return;
+      }
     }
+  }
 
-    return new Blob(parts, { type: 'audio/wav' });
+  // Validated song of one revision, ready for Project.apply()
+  function read(id) {
+    const text = localStorage.getItem(revisionKey(id));
+    if (text === null) throw new Error('This revision is no longer stored.');
+    return Project.parse(text);
+  }
+
+  // Load the newest revision on startup; returns true if one was restored
+  function restoreLatest() {
+    const index = list();
+    for (let i = index.length - 1; i >= 0; i--) {
+      try {
+        Project.apply(read(index[i].id));
+        return true;
+      } catch (err) {
+        console.error('Autosave revision unreadable:', err);
+      }
+    }
+    return false;
   }
 
-  return { exportWAV };
+  return { schedule, flush, list, read, restoreLatest };
 })();
 
 // === UI ===
@@ -1561,30 +4728,95 @@ const UI = (() => {
     els.grid = document.getElementById('sequencer-grid');
     els.noteLabels = document.getElementById('note-labels');
     els.stepNumbers = document.getElementById('step-numbers');
+    els.velocityLane = document.getElementById('velocity-lane');
     els.playhead = document.getElementById('playhead');
     els.waveType = document.getElementById('wave-type');
+    els.dutyCycle = document.getElementById('duty-cycle');
+    els.noiseMode = document.getElementById('noise-mode');
+    els.btnKit = document.getElementById('btn-kit');
+    els.btnRing = document.getElementById('btn-ring');
     els.channelVolume = document.getElementById('channel-volume');
     els.volumeDisplay = document.getElementById('volume-display');
+    els.channelPan = document.getElementById('channel-pan');
+    els.panDisplay = document.getElementById('pan-display');
     els.btnMute = document.getElementById('btn-mute');
     els.btnSolo = document.getElementById('btn-solo');
+    els.channelTabs = document.getElementById('channel-tabs');
+    els.btnAddChannel = document.getElementById('btn-add-channel');
+    els.btnRemoveChannel = document.getElementById('btn-remove-channel');
+    els.channelRole = document.getElementById('channel-role');
+    Object.entries(Config.ROLES).forEach(([id, role]) => els.channelRole.add(new Option(role.label.toUpperCase(), id)));
+    els.channelColor = document.getElementById('channel-color');
     els.btnPlay = document.getElementById('btn-play');
     els.btnStop = document.getElementById('btn-stop');
     els.bpmSlider = document.getElementById('bpm-slider');
     els.bpmInput = document.getElementById('bpm-input');
     els.btnLoop = document.getElementById('btn-loop');
+    els.btnScope = document.getElementById('btn-scope');
+    els.patternBank = document.getElementById('pattern-bank');
+    els.orderList = document.getElementById('order-list');
+    els.songBars = document.getElementById('song-bars');
+    els.songMeter = document.getElementById('song-meter');
+    els.songGroove = document.getElementById('song-groove');
+    Object.entries(Config.GROOVES).forEach(([id, groove]) => els.songGroove.add(new Option(groove.label.toUpperCase(), id)));
+    els.songSwing = document.getElementById('song-swing');
+    els.swingDisplay = document.getElementById('swing-display');
+    els.grooveOffsets = document.getElementById('song-groove-offsets');
     els.genScale = document.getElementById('gen-scale');
     els.genRoot = document.getElementById('gen-root');
     els.genDensity = document.getElementById('gen-density');
     els.densityDisplay = document.getElementById('density-display');
+    els.genSeed = document.getElementById('gen-seed');
+    els.genFx = document.getElementById('gen-fx');
     els.btnStyleGen = document.getElementById('btn-style-gen');
     els.btnGenerate = document.getElementById('btn-generate');
     els.btnClear = document.getElementById('btn-clear');
     els.btnExport = document.getElementById('btn-export');
-    els.btnBitMode = document.getElementById('btn-bitmode');
+    els.btnExportMidi = document.getElementById('btn-export-midi');
+    els.btnExportFt = document.getElementById('btn-export-ft');
+    els.profile = document.getElementById('profile');
+    Audio.getProfiles().forEach(id => els.profile.add(new Option(Audio.getProfile(id).label, id)));
+    els.btnAuthentic = document.getElementById('btn-authentic');
+    els.crushDepth = document.getElementById('crush-depth');
+    els.crushRate = document.getElementById('crush-rate');
+    els.btnSave = document.getElementById('btn-save');
+    els.btnLoad = document.getElementById('btn-load');
+    els.loadFile = document.getElementById('load-file');
+    els.btnCopyLink = document.getElementById('btn-copy-link');
+    els.btnImportMidi = document.getElementById('btn-import-midi');
+    els.importFile = document.getElementById('import-file');
+    els.importModal = document.getElementById('import-modal');
+    els.importSources = document.getElementById('import-sources');
+    els.importSummary = document.getElementById('import-summary');
+    els.btnImportApply = document.getElementById('btn-import-apply');
+    els.btnImportClose = document.getElementById('btn-import-close');
+    els.btnRevisions = document.getElementById('btn-revisions');
+    els.exportModal = document.getElementById('export-modal');
+    els.exportSummary = document.getElementById('export-summary');
+    els.btnExportClose = document.getElementById('btn-export-close');
+    els.btnRack = document.getElementById('btn-rack');
+    els.btnRackClose = document.getElementById('btn-rack-close');
+    els.fxModal = document.getElementById('fx-modal');
+    els.fxTitle = document.getElementById('fx-title');
+    els.fxFilter = document.getElementById('fx-filter');
+    els.fxDivision = document.getElementById('fx-division');
+    Object.entries(Config.DELAY_DIVISIONS).forEach(([id, division]) => els.fxDivision.add(new Option(division.label, id)));
+    els.fxSliders = [...els.fxModal.querySelectorAll('input[data-fx]')];
+    els.fxSliders.forEach(slider => {
+      const { min, max, scale } = Config.FX_RANGES[slider.dataset.fx];
+      slider.min = slider.dataset.fx === 'cutoff' ? 0 : Math.round(min * scale);
+      slider.max = slider.dataset.fx === 'cutoff' ? CUTOFF_SLIDER_MAX : Math.round(max * scale);
+    });
+    els.revisionModal = document.getElementById('revision-modal');
+    els.revisionList = document.getElementById('revision-list');
+    els.revisionSummary = document.getElementById('revision-summary');
+    els.btnRevisionPlay = document.getElementById('btn-revision-play');
+    els.btnRevisionRestore = document.getElementById('btn-revision-restore');
+    els.btnRevisionClose = document.getElementById('btn-revision-close');
 
     buildNoteLabels();
-    buildStepNumbers();
-    buildGrid();
+    rebuildGrid();
+    renderSongRow();
     bindEvents();
     setChannelTheme(0);
     syncChannelControls();
@@ -1597,14 +4829,38 @@ const UI = (() => {
     });
 
     window.addEventListener('resize', fitGridToScreen);
+
+    // Restore a shared song from the URL fragment, otherwise the last autosave
+    if (!loadSharedSong() && Autosave.restoreLatest()) syncAll();
+    window.addEventListener('hashchange', loadSharedSong);
+    window.addEventListener('pagehide', Autosave.flush);
   }
 
+  function loadSharedSong() {
+    try {
+      if (History.perform('Open shared song', () => Share.loadFromHash())) {
+        syncAll();
+        return true;
+      }
+    } catch (err) {
+      console.error('Share link failed:', err);
+      alert('Could not open shared song: ' + err.message);
+    }
+    return false;
+  }
+
+  const VELOCITY_LANE_ROWS = 2;
+  // What the lane under the grid edits, in the order its label cycles through them
+  const LANE_MODES = { velocity: 'VEL', pan: 'PAN', tempo: 'BPM' };
+  let laneMode = 'velocity';
+
   function fitGridToScreen() {
     const wrapper = document.querySelector('.sequencer-wrapper');
     const labelsWidth = els.noteLabels.offsetWidth + 2;
     const availableHeight = wrapper.clientHeight;
-    // Size cells to fit all rows vertically; grid scrolls horizontally if needed
-    const cellSize = Math.max(14, Math.floor(availableHeight / (Config.ROWS + 1)));
+    // Size cells to fit all rows, the step numbers and the velocity lane vertically;
+    // grid scrolls horizontally if needed
+    const cellSize = Math.max(14, Math.floor(availableHeight / (Config.ROWS + 1 + VELOCITY_LANE_ROWS)));
     document.documentElement.style.setProperty('--cell-size', cellSize + 'px');
   }
 
@@ -1618,23 +4874,46 @@ const UI = (() => {
     els.noteLabels.innerHTML = '';
     // Top row = highest note
     for (let row = 0; row < Config.ROWS; row++) {
-      const midi = Config.MAX_NOTE - row;
-      const name = noteToName(midi);
       const div = document.createElement('div');
       div.className = 'note-label';
-      if (name.includes('#')) div.classList.add('sharp');
-      if (midi % 12 === 0) div.classList.add('c-note');
-      div.textContent = name;
       els.noteLabels.appendChild(div);
     }
+    const lane = document.createElement('div');
+    lane.className = 'note-label lane-label';
+    lane.title = 'Click to switch between the velocity, pan and tempo lanes';
+    lane.textContent = LANE_MODES[laneMode];
+    lane.addEventListener('click', () => {
+      const modes = Object.keys(LANE_MODES);
+      laneMode = modes[(modes.indexOf(laneMode) + 1) % modes.length];
+      lane.textContent = LANE_MODES[laneMode];
+      renderVelocityLane();
+    });
+    els.noteLabels.appendChild(lane);
+    syncNoteLabels();
+  }
+
+  // Note names, or drum names on the first row of each voice when the channel plays the kit
+  function syncNoteLabels() {
+    const kit = State.channels[State.activeChannel].drumKit;
+    els.noteLabels.querySelectorAll('.note-label:not(.lane-label)').forEach((div, row) => {
+      const midi = Config.MAX_NOTE - row;
+      const name = noteToName(midi);
+      const drum = kit && Config.DRUM_KIT.find(d => d.low === midi);
+      div.classList.toggle('sharp', !kit && name.includes('#'));
+      div.classList.toggle('c-note', !kit && midi % 12 === 0);
+      div.classList.toggle('drum', !!drum);
+      div.textContent = kit ? (drum ? drum.label : '') : name;
+    });
   }
 
   function buildStepNumbers() {
     els.stepNumbers.innerHTML = '';
-    for (let step = 0; step < Config.STEPS; step++) {
+    for (let step = 0; step < State.steps; step++) {
+      const { beat, offset } = Song.beatAt(step);
       const div = document.createElement('div');
       div.className = 'step-number';
-      if (step % 4 === 0) div.classList.add('beat');
+      if (offset === 0) div.classList.add('beat');
+      if (offset === 0 && beat === 0) div.classList.add('bar');
       div.textContent = step + 1;
       els.stepNumbers.appendChild(div);
     }
@@ -1642,75 +4921,240 @@ const UI = (() => {
 
   function buildGrid() {
     els.grid.innerHTML = '';
+    els.grid.style.gridTemplateColumns = `repeat(${State.steps}, var(--cell-size))`;
     for (let row = 0; row < Config.ROWS; row++) {
-      for (let step = 0; step < Config.STEPS; step++) {
+      for (let step = 0; step < State.steps; step++) {
+        const { beat, offset } = Song.beatAt(step);
         const cell = document.createElement('div');
         cell.className = 'cell';
         cell.dataset.row = row;
         cell.dataset.step = step;
-        if (step % 4 === 0) cell.classList.add('beat-line');
+        if (offset === 0) cell.classList.add('beat-line');
+        if (offset === 0 && beat === 0) cell.classList.add('bar-line');
         els.grid.appendChild(cell);
       }
     }
+    els.velocityLane.innerHTML = '';
+    for (let step = 0; step < State.steps; step++) {
+      const col = document.createElement('div');
+      col.className = 'velocity-step';
+      col.dataset.step = step;
+      col.appendChild(document.createElement('div')).className = 'velocity-bar';
+      els.velocityLane.appendChild(col);
+    }
     renderGrid();
   }
 
   function renderGrid() {
     const cells = els.grid.querySelectorAll('.cell');
-    const ch = State.activeChannel;
+    const channel = State.patterns[State.activeChannel];
+    // Cells covered by the tail of a long note, and the last cell of tied notes
+    const held = new Set();
+    const tied = new Set();
+    channel.forEach((notes, step) => notes.forEach((note, midi) => {
+      for (let s = step + 1; s < step + note.length; s++) held.add(`${s}:${midi}`);
+      if (note.tie) tied.add(`${step + note.length - 1}:${midi}`);
+    }));
     cells.forEach(cell => {
       const row = parseInt(cell.dataset.row);
       const step = parseInt(cell.dataset.step);
       const midi = Config.MAX_NOTE - row;
-      const isActive = State.patterns[ch][step].has(midi);
-      cell.classList.toggle('active', isActive);
+      const key = `${step}:${midi}`;
+      cell.classList.toggle('active', channel[step].has(midi));
+      cell.classList.toggle('held', held.has(key));
+      cell.classList.toggle('tied', tied.has(key));
+      const note = channel[step].get(midi);
+      if (note && note.fx) cell.dataset.fx = note.fx;
+      else delete cell.dataset.fx;
+    });
+    renderVelocityLane();
+  }
+
+  const FX_HELP = '0xy arpeggio, 1xx/2xx slide up/down, 3xx portamento, 4xy vibrato, ' +
+    'Axy volume slide, Sxx note cut, Gxx note delay (hex values; blank clears)';
+
+  function editNoteFx(note) {
+    const text = prompt(`Effect for this note:\n${FX_HELP}`, note.fx || '');
+    if (text === null) return;
+    const fx = text.trim().toUpperCase();
+    if (fx && !Song.parseFx(fx)) {
+      alert(`"${text}" is not an effect. Use ${FX_HELP}.`);
+      return;
+    }
+    History.perform('Effect', () => { note.fx = fx || null; });
+    renderGrid();
+  }
+
+  // One bar per step. Velocity lane: the loudest note starting there. Pan lane: the pan of the
+  // first note there, drawn up (right) or down (left) from the middle; dim when it follows the channel.
+  // Tempo lane: the pattern's BPM at that step; bright on breakpoints, outlined on ramped ones.
+  function renderVelocityLane() {
+    const ch = State.channels[State.activeChannel];
+    const channel = State.patterns[State.activeChannel];
+    const pattern = State.bank[State.editPattern];
+    els.velocityLane.classList.toggle('pan', laneMode === 'pan');
+    els.velocityLane.classList.toggle('tempo', laneMode === 'tempo');
+    els.velocityLane.querySelectorAll('.velocity-step').forEach(col => {
+      const step = parseInt(col.dataset.step);
+      const notes = [...channel[step].values()];
+      const bar = col.firstChild;
+      col.title = '';
+      bar.classList.remove('ramp');
+      if (laneMode === 'tempo') {
+        const bpm = Song.tempoAt(pattern, step);
+        const point = pattern.tempo.find(p => p.step === step);
+        bar.style.height = Math.min(100, bpm / Song.MAX_BPM * 100) + '%';
+        bar.style.bottom = '';
+        bar.classList.toggle('inherit', !point);
+        bar.classList.toggle('ramp', !!point && point.ramp);
+        col.title = `${Math.round(bpm)} BPM`;
+      } else if (laneMode === 'pan') {
+        const pan = notes.length ? (notes[0].pan === null ? ch.pan : notes[0].pan) : 0;
+        bar.style.height = notes.length ? Math.max(4, Math.abs(pan) * 50) + '%' : '0';
+        bar.style.bottom = (50 + Math.min(0, pan) * 50) + '%';
+        bar.classList.toggle('inherit', notes.length > 0 && notes[0].pan === null);
+      } else {
+        const velocity = notes.length ? Math.max(...notes.map(note => note.velocity)) : 0;
+        bar.style.height = (velocity / 127 * 100) + '%';
+        bar.style.bottom = '';
+        bar.classList.remove('inherit');
+      }
     });
   }
 
+  // Set every note on the lane column under the pointer to the velocity (or pan) at its height.
+  // Alt + click in the pan lane returns the notes to the channel's pan. In the tempo lane it sets
+  // a breakpoint at that height — ramped to from the previous tempo with Shift, removed with Alt.
+  function setVelocityFromPointer(e) {
+    const col = e.target.closest('.velocity-step');
+    if (!col) return;
+    const rect = col.getBoundingClientRect();
+    const step = parseInt(col.dataset.step);
+    if (laneMode === 'tempo') {
+      const pattern = State.bank[State.editPattern];
+      if (e.altKey) {
+        Song.removeTempoPoint(pattern, step);
+      } else {
+        const bpm = Math.max(1, Math.min(Song.MAX_BPM, Math.round((rect.bottom - e.clientY) / rect.height * Song.MAX_BPM)));
+        Song.setTempoPoint(pattern, step, bpm, e.shiftKey);
+      }
+      renderVelocityLane();
+      return;
+    }
+    const notes = State.patterns[State.activeChannel][step];
+    if (notes.size === 0) return;
+    if (laneMode === 'pan') {
+      const pan = e.altKey ? null : Song.quantizePan((rect.top + rect.height / 2 - e.clientY) / (rect.height / 2));
+      notes.forEach(note => { note.pan = pan; });
+    } else {
+      const velocity = Math.max(1, Math.min(127, Math.round((rect.bottom - e.clientY) / rect.height * 127)));
+      notes.forEach(note => { note.velocity = velocity; });
+    }
+    renderVelocityLane();
+  }
+
+  // Add a one-step note, or remove the note covering this cell (its start or held tail)
   function toggleCell(row, step) {
     const midi = Config.MAX_NOTE - row;
-    const ch = State.activeChannel;
-    const notes = State.patterns[ch][step];
-    if (notes.has(midi)) {
-      notes.delete(midi);
+    const channel = State.patterns[State.activeChannel];
+    const start = Song.noteStartAt(channel, step, midi);
+    if (start >= 0) {
+      channel[start].delete(midi);
     } else {
-      notes.add(midi);
+      Song.putNote(channel[step], midi);
     }
     renderGrid();
   }
 
   function setChannelTheme(idx) {
-    document.body.className = `channel-${idx}`;
+    const color = State.channels[idx].color;
+    document.body.style.setProperty('--channel-color', color);
+    document.body.style.setProperty('--channel-glow', `0 0 6px ${color}, 0 0 12px ${color}44`);
+  }
+
+  // One tab per channel in its color; channels past the profile's voices are kept but not played
+  function renderChannelTabs() {
+    const limit = Audio.getChannelLimit(State.profile);
+    els.channelTabs.innerHTML = '';
+    State.channels.forEach((ch, idx) => {
+      const tab = document.createElement('button');
+      tab.className = 'channel-tab';
+      tab.classList.toggle('active', idx === State.activeChannel);
+      tab.classList.toggle('off-chip', idx >= limit);
+      tab.dataset.channel = idx;
+      tab.style.setProperty('--tab-color', ch.color);
+      tab.textContent = ch.name.toUpperCase();
+      if (idx >= limit) tab.title = `Not played: ${Audio.getProfile(State.profile).label} has ${limit} voices`;
+      els.channelTabs.appendChild(tab);
+    });
+    els.btnAddChannel.disabled = State.channels.length >= Audio.getMaxChannels(State.profile);
+    els.btnRemoveChannel.disabled = State.channels.length <= 1;
+  }
+
+  function selectChannel(idx) {
+    State.activeChannel = idx;
+    setChannelTheme(idx);
+    syncChannelControls();
+    renderGrid();
   }
 
   function syncWaveOptions() {
-    const allowed = Audio.getAllowedWaves(State.bitMode);
+    const allowed = Audio.getAllowedWaves(State.profile, State.activeChannel);
     const options = els.waveType.querySelectorAll('option');
     options.forEach(opt => {
       opt.disabled = !allowed.includes(opt.value);
     });
     // If current channel's wave is now disallowed, clamp it
     const ch = State.channels[State.activeChannel];
-    const clamped = Audio.clampWaveType(ch.waveType, State.bitMode);
+    const clamped = Audio.clampWaveType(ch.waveType, State.profile, State.activeChannel);
     if (clamped !== ch.waveType) {
       ch.waveType = clamped;
     }
     els.waveType.value = ch.waveType;
+    syncShapeControls();
+  }
+
+  // Duty only shapes square waves, the LFSR mode only LFSR noise and ring mod only SID triangles;
+  // otherwise they're disabled
+  function syncShapeControls() {
+    const ch = State.channels[State.activeChannel];
+    const profile = Audio.getProfile(State.profile);
+    const wave = Audio.clampWaveType(ch.waveType, State.profile, State.activeChannel);
+    els.dutyCycle.querySelectorAll('option').forEach(opt => {
+      opt.disabled = !profile.duties.includes(parseFloat(opt.value));
+    });
+    els.dutyCycle.value = String(Audio.clampDuty(ch.duty, State.profile));
+    els.dutyCycle.disabled = wave !== 'square';
+    els.noiseMode.value = ch.noiseMode;
+    els.noiseMode.disabled = wave !== 'noise' || !Audio.usesLfsrNoise() || ch.drumKit;
+    els.btnKit.classList.toggle('active', ch.drumKit);
+    els.btnRing.classList.toggle('active', ch.ring);
+    els.btnRing.disabled = !profile.ringMod || wave !== 'triangle';
+    // Mono chips have nothing to pan
+    els.channelPan.disabled = profile.stereo === 'mono';
+  }
+
+  // C, or L/R and how far off center in percent
+  function panLabel(pan) {
+    if (pan === 0) return 'C';
+    return (pan < 0 ? 'L' : 'R') + Math.round(Math.abs(pan) * 100);
   }
 
   function syncChannelControls() {
     const ch = State.channels[State.activeChannel];
+    els.channelRole.value = ch.role;
+    els.channelColor.value = ch.color;
     els.waveType.value = ch.waveType;
     els.channelVolume.value = Math.round(ch.volume * 100);
     els.volumeDisplay.textContent = Math.round(ch.volume * 100);
+    els.channelPan.value = Math.round(ch.pan * Config.PAN_STEPS);
+    els.panDisplay.textContent = panLabel(ch.pan);
     els.btnMute.classList.toggle('active', ch.muted);
     els.btnSolo.classList.toggle('active', ch.solo);
     syncWaveOptions();
-
-    // Update tabs
-    document.querySelectorAll('.channel-tab').forEach((tab, i) => {
-      tab.classList.toggle('active', i === State.activeChannel);
-    });
+    syncNoteLabels();
+    syncFxControls();
+    renderChannelTabs();
   }
 
   function syncGeneratorControls() {
@@ -1718,22 +5162,320 @@ const UI = (() => {
     els.genRoot.value = State.generate.rootNote;
     els.genDensity.value = State.generate.density;
     els.densityDisplay.textContent = State.generate.density;
+    els.genSeed.value = State.generate.seed;
+    els.genFx.checked = State.generate.effects;
     els.bpmSlider.value = State.bpm;
     els.bpmInput.value = State.bpm;
     syncChannelControls();
   }
 
-  function updatePlayhead(step) {
+  function syncProfileControls() {
+    els.profile.value = State.profile;
+    els.profile.dataset.bits = Audio.getProfile(State.profile).bits;
+    els.btnAuthentic.classList.toggle('active', State.authentic);
+    els.btnAuthentic.disabled = State.profile !== 'nes';
+    els.crushDepth.value = String(State.crush.depth);
+    els.crushRate.value = String(State.crush.rate);
+  }
+
+  function syncPresetChips() {
+    document.querySelectorAll('.preset-chip').forEach(chip => {
+      chip.classList.toggle('active', chip.dataset.preset === State.activePreset);
+    });
+  }
+
+  // --- Pattern bank + order list ---
+  let selectedOrder = 0;
+
+  function renderSongRow() {
+    selectedOrder = Math.max(0, Math.min(selectedOrder, State.order.length - 1));
+    els.patternBank.innerHTML = '';
+    State.bank.forEach((pattern, idx) => {
+      const chip = document.createElement('button');
+      chip.className = 'pattern-chip';
+      chip.classList.toggle('active', idx === State.editPattern);
+      chip.dataset.pattern = idx;
+      chip.textContent = pattern.name;
+      els.patternBank.appendChild(chip);
+    });
+
+    els.orderList.innerHTML = '';
+    State.order.forEach((entry, pos) => {
+      const chip = document.createElement('button');
+      chip.className = 'order-chip';
+      chip.classList.toggle('active', pos === selectedOrder);
+      chip.dataset.order = pos;
+      const name = State.bank[entry.pattern].name;
+      chip.textContent = entry.repeats > 1 ? `${name}×${entry.repeats}` : name;
+      els.orderList.appendChild(chip);
+    });
+    els.btnScope.textContent = State.playScope === 'song' ? 'SONG' : 'PAT';
+  }
+
+  function selectPattern(idx) {
+    State.editPattern = idx;
+    renderSongRow();
+    renderGrid();
+  }
+
+  // Run a song edit as one undo step, then refresh the song row and grid
+  function editSong(label, fn) {
+    History.perform(label, fn);
+    renderSongRow();
+    renderGrid();
+  }
+
+  function syncLengthControls() {
+    els.songBars.max = Song.maxBars();
+    els.songBars.value = State.bars;
+    els.songMeter.value = State.timeSig;
+  }
+
+  // Swing applies to the shuffle and MPC templates; the offsets field only to CUSTOM
+  function syncGrooveControls() {
+    const { template, swing, offsets } = State.groove;
+    els.songGroove.value = template;
+    els.songSwing.value = swing;
+    els.songSwing.disabled = template === 'straight' || template === 'custom';
+    els.swingDisplay.textContent = `${swing}%`;
+    els.grooveOffsets.hidden = template !== 'custom';
+    els.grooveOffsets.value = offsets.map(offset => Math.round(offset * 100)).join(' ');
+  }
+
+  // "0 25 0 -10" → [0, 0.25, 0, -0.1]; null unless every entry is a whole number from -50 to 50
+  function parseGrooveOffsets(text) {
+    const parts = text.trim().split(/[\s,]+/).filter(Boolean);
+    if (parts.length < 1 || parts.length > Config.MAX_GROOVE_STEPS) return null;
+    const values = parts.map(Number);
+    if (!values.every(v => Number.isInteger(v) && v >= -50 && v <= 50)) return null;
+    return values.map(v => v / 100);
+  }
+
+  // Rebuild the grid after the pattern length or meter changes
+  function rebuildGrid() {
+    syncLengthControls();
+    buildStepNumbers();
+    buildGrid();
+  }
+
+  // Refresh every control from State (after loading a project)
+  function syncAll() {
+    rebuildGrid();
+    renderSongRow();
+    syncGrooveControls();
+    syncProfileControls();
+    syncPresetChips();
+    setChannelTheme(State.activeChannel);
+    syncGeneratorControls();
+  }
+
+  // --- MIDI import dialog ---
+  let pendingImport = null;
+
+  function openImportDialog(midi) {
+    pendingImport = midi;
+    const mapping = Importer.suggestMapping(midi.sources);
+    els.importSources.innerHTML = '';
+    els.importSummary.innerHTML = '';
+    for (const src of midi.sources) {
+      const row = document.createElement('div');
+      row.className = 'import-source';
+      const label = document.createElement('label');
+      const name = src.name ? ` ${src.name}` : '';
+      label.textContent = `TRK ${src.track + 1}${name} / CH ${src.channel + 1} (${src.notes.length})`;
+      const select = document.createElement('select');
+      select.dataset.source = src.id;
+      select.add(new Option('SKIP', '-1'));
+      State.channels.forEach((ch, i) => select.add(new Option(ch.name.toUpperCase(), String(i))));
+      select.value = String(mapping[src.id]);
+      row.appendChild(label);
+      row.appendChild(select);
+      els.importSources.appendChild(row);
+    }
+    if (midi.sources.length === 0) {
+      els.importSummary.textContent = 'No notes found in this file.';
+    }
+    els.btnImportApply.hidden = midi.sources.length === 0;
+    els.btnImportClose.textContent = 'CANCEL';
+    els.importModal.hidden = false;
+  }
+
+  function applyPendingImport() {
+    const mapping = {};
+    els.importSources.querySelectorAll('select').forEach(select => {
+      mapping[select.dataset.source] = parseInt(select.value);
+    });
+    const summary = History.perform('Import MIDI', () => Importer.applyImport(pendingImport, mapping));
+    pendingImport = null;
+    syncAll();
+    els.importSources.innerHTML = '';
+    els.importSummary.innerHTML = '';
+    for (const line of Importer.describeSummary(summary)) {
+      const p = document.createElement('p');
+      p.textContent = line;
+      els.importSummary.appendChild(p);
+    }
+    els.btnImportApply.hidden = true;
+    els.btnImportClose.textContent = 'OK';
+  }
+
+  // --- WAV export level report ---
+  function openExportReport(report) {
+    els.exportSummary.innerHTML = '';
+    for (const line of Exporter.describeReport(report)) {
+      const p = document.createElement('p');
+      p.textContent = line;
+      els.exportSummary.appendChild(p);
+    }
+    els.exportSummary.classList.toggle('clipped', report.clips > 0);
+    els.exportModal.hidden = false;
+  }
+
+  // --- Effect rack dialog ---
+  // Sliders hold effect values in grid units (value × scale); the cutoff slider is logarithmic
+  const CUTOFF_SLIDER_MAX = 1000;
+  // Rack keys that belong to the song's shared effects rather than the channel
+  const SHARED_FX = { feedback: 'delay', size: 'reverb', decay: 'reverb' };
+
+  function fxValue(key) {
+    return key in SHARED_FX ? State.fx[SHARED_FX[key]][key] : State.channels[State.activeChannel].fx[key];
+  }
+
+  function setFxValue(key, value) {
+    if (key in SHARED_FX) State.fx[SHARED_FX[key]][key] = value;
+    else State.channels[State.activeChannel].fx[key] = value;
+  }
+
+  function fxToSlider(key, value) {
+    const { min, max, scale } = Config.FX_RANGES[key];
+    if (key === 'cutoff') return Math.round(Math.log(value / min) / Math.log(max / min) * CUTOFF_SLIDER_MAX);
+    return Math.round(value * scale);
+  }
+
+  function sliderToFx(key, position) {
+    const { min, max, scale } = Config.FX_RANGES[key];
+    if (key === 'cutoff') return Math.round(min * Math.pow(max / min, position / CUTOFF_SLIDER_MAX));
+    return position / scale;
+  }
+
+  function fxLabel(key, value) {
+    switch (key) {
+      case 'cutoff': return value >= 1000 ? `${(value / 1000).toFixed(1)}k` : String(value);
+      case 'resonance':
+      case 'decay': return value.toFixed(1);
+      case 'size': return `${value.toFixed(1)}s`;
+      case 'sweep': return value > 0 ? `+${value}` : String(value);
+      default: return String(Math.round(value * 100)); // levels in percent
+    }
+  }
+
+  function syncFxControls() {
+    const ch = State.channels[State.activeChannel];
+    els.fxTitle.textContent = `FX RACK: ${ch.name.toUpperCase()}`;
+    els.fxFilter.value = ch.fx.filter;
+    els.fxDivision.value = State.fx.delay.division;
+    const filterOff = ch.fx.filter === 'off';
+    // Chorus needs a 16/32-bit profile
+    const chorusOff = Audio.getProfile(State.profile).bits < 16;
+    els.fxSliders.forEach(slider => {
+      const key = slider.dataset.fx;
+      const value = fxValue(key);
+      slider.value = fxToSlider(key, value);
+      slider.nextElementSibling.textContent = fxLabel(key, value);
+      slider.disabled = (filterOff && ['cutoff', 'resonance', 'sweep'].includes(key)) || (chorusOff && key === 'chorus');
+    });
+    const fx = ch.fx;
+    els.btnRack.classList.toggle('active', fx.delay > 0 || fx.reverb > 0 || !filterOff || fx.drive > 0 || (fx.chorus > 0 && !chorusOff));
+  }
+
+  // --- Autosave revisions dialog ---
+  // Picking a revision loads it for preview; CANCEL returns to the working song
+  let workingSong = null;
+  let previewId = null;
+
+  function openRevisionsDialog() {
+    Autosave.flush();
+    if (State.playing) Audio.stop();
+    workingSong = Project.serialize().song;
+    previewId = null;
+    els.revisionList.innerHTML = '';
+    const revisions = Autosave.list().slice().reverse();
+    for (const rev of revisions) {
+      const row = document.createElement('button');
+      row.className = 'revision';
+      row.dataset.id = rev.id;
+      const time = document.createElement('span');
+      time.textContent = `${new Date(rev.savedAt).toLocaleString()} · ${rev.label}`;
+      const summary = document.createElement('span');
+      summary.className = 'revision-detail';
+      summary.textContent = rev.summary;
+      row.appendChild(time);
+      row.appendChild(summary);
+      els.revisionList.appendChild(row);
+    }
+    els.revisionSummary.textContent = revisions.length
+      ? 'Pick a revision to preview it.'
+      : 'No autosaved revisions yet.';
+    els.btnRevisionPlay.hidden = true;
+    els.btnRevisionRestore.hidden = true;
+    els.revisionModal.hidden = false;
+  }
+
+  function previewRevision(id) {
+    if (State.playing) Audio.stop();
+    try {
+      Project.apply(Autosave.read(id));
+    } catch (err) {
+      console.error('Revision preview failed:', err);
+      els.revisionSummary.textContent = 'Could not open this revision: ' + err.message;
+      return;
+    }
+    previewId = id;
+    syncAll();
+    els.revisionList.querySelectorAll('.revision').forEach(row => {
+      row.classList.toggle('active', parseInt(row.dataset.id) === id);
+    });
+    els.revisionSummary.textContent = 'Previewing. RESTORE keeps this version; CANCEL goes back.';
+    els.btnRevisionPlay.hidden = false;
+    els.btnRevisionRestore.hidden = false;
+  }
+
+  // Return to the working song, then optionally restore the previewed revision as one undo step
+  function closeRevisionsDialog(restore) {
+    if (State.playing) Audio.stop();
+    Project.apply(workingSong);
+    if (restore && previewId !== null) {
+      try {
+        History.perform('Restore revision', () => Project.apply(Autosave.read(previewId)));
+      } catch (err) {
+        console.error('Revision restore failed:', err);
+        alert('Could not restore revision: ' + err.message);
+      }
+    }
+    workingSong = null;
+    previewId = null;
+    syncAll();
+    els.revisionModal.hidden = true;
+  }
+
+  function updatePlayhead(step, patternIdx) {
     State.currentStep = step;
     const cellSize = parseFloat(getComputedStyle(document.documentElement).getPropertyValue('--cell-size'));
     els.playhead.style.left = step * cellSize + 'px';
+    // Dim the playhead while the song plays a pattern other than the one on screen
+    els.playhead.classList.toggle('other-pattern', patternIdx !== State.editPattern);
+    els.patternBank.querySelectorAll('.pattern-chip').forEach(chip => {
+      chip.classList.toggle('playing', State.playing && parseInt(chip.dataset.pattern) === patternIdx);
+    });
   }
 
   function onPlayStateChange() {
     els.playhead.classList.toggle('visible', State.playing);
     els.btnPlay.classList.toggle('playing', State.playing);
+    els.btnRevisionPlay.textContent = State.playing ? 'STOP' : 'PLAY';
     if (!State.playing) {
       els.playhead.style.left = '0px';
+      els.patternBank.querySelectorAll('.pattern-chip').forEach(chip => chip.classList.remove('playing'));
     }
   }
 
@@ -1741,19 +5483,58 @@ const UI = (() => {
     // Grid click with drag support
     let isMouseDown = false;
     let paintMode = null; // true = adding, false = removing
+    let stretch = null;   // { start, midi } while Shift-dragging a note's length
 
     els.grid.addEventListener('mousedown', e => {
       const cell = e.target.closest('.cell');
-      if (!cell) return;
+      if (!cell || e.button === 2) return;
       e.preventDefault();
-      isMouseDown = true;
       const row = parseInt(cell.dataset.row);
       const step = parseInt(cell.dataset.step);
       const midi = Config.MAX_NOTE - row;
+      const channel = State.patterns[State.activeChannel];
+      const start = Song.noteStartAt(channel, step, midi);
+      Audio.init(); // ensure audio context on gesture
+
+      // Alt-click ties a note into the next note of the same pitch
+      if (e.altKey) {
+        if (start < 0) return;
+        History.perform('Tie note', () => {
+          const note = channel[start].get(midi);
+          note.tie = !note.tie;
+        });
+        renderGrid();
+        return;
+      }
+
+      isMouseDown = true;
+      // Shift-drag draws a long note, or resizes the note under the pointer
+      if (e.shiftKey) {
+        History.begin(start < 0 ? 'Draw note' : 'Resize note');
+        if (start < 0) Song.putNote(channel[step], midi);
+        stretch = { start: start < 0 ? step : start, midi };
+        Song.setNoteLength(channel, stretch.start, midi, step - stretch.start + 1);
+        renderGrid();
+        return;
+      }
+
       // Determine paint mode based on initial cell state
-      paintMode = !State.patterns[State.activeChannel][step].has(midi);
+      paintMode = start < 0;
+      // The whole drag is one undo entry, closed on mouseup
+      History.begin(paintMode ? 'Paint notes' : 'Erase notes');
       toggleCell(row, step);
-      Audio.init(); // ensure audio context on gesture
+    });
+
+    // Right-click a note to edit its effect column
+    els.grid.addEventListener('contextmenu', e => {
+      const cell = e.target.closest('.cell');
+      if (!cell) return;
+      e.preventDefault();
+      const midi = Config.MAX_NOTE - parseInt(cell.dataset.row);
+      const channel = State.patterns[State.activeChannel];
+      const start = Song.noteStartAt(channel, parseInt(cell.dataset.step), midi);
+      if (start < 0) return;
+      editNoteFx(channel[start].get(midi));
     });
 
     els.grid.addEventListener('mouseover', e => {
@@ -1763,55 +5544,177 @@ const UI = (() => {
       const row = parseInt(cell.dataset.row);
       const step = parseInt(cell.dataset.step);
       const midi = Config.MAX_NOTE - row;
-      const notes = State.patterns[State.activeChannel][step];
-      const isActive = notes.has(midi);
-      if (paintMode && !isActive) {
-        notes.add(midi);
-        renderGrid();
-      } else if (!paintMode && isActive) {
-        notes.delete(midi);
+      const channel = State.patterns[State.activeChannel];
+      if (stretch) {
+        Song.setNoteLength(channel, stretch.start, stretch.midi, step - stretch.start + 1);
         renderGrid();
+        return;
       }
+      const isActive = Song.noteStartAt(channel, step, midi) >= 0;
+      if (paintMode !== isActive) toggleCell(row, step);
+    });
+
+    // Velocity lane: click or drag over the columns to draw velocities
+    let laneDrag = false;
+    els.velocityLane.addEventListener('mousedown', e => {
+      e.preventDefault();
+      laneDrag = true;
+      History.begin({ velocity: 'Velocity', pan: 'Pan', tempo: 'Tempo' }[laneMode]);
+      setVelocityFromPointer(e);
+    });
+
+    els.velocityLane.addEventListener('mousemove', e => {
+      if (laneDrag) setVelocityFromPointer(e);
     });
 
     document.addEventListener('mouseup', () => {
+      if (isMouseDown || laneDrag) History.end();
       isMouseDown = false;
+      laneDrag = false;
       paintMode = null;
+      stretch = null;
     });
 
-    // Channel tabs
-    document.querySelectorAll('.channel-tab').forEach(tab => {
-      tab.addEventListener('click', () => {
-        State.activeChannel = parseInt(tab.dataset.channel);
-        setChannelTheme(State.activeChannel);
-        syncChannelControls();
-        renderGrid();
+    // Channel tabs (rebuilt on every change, so clicks are delegated)
+    els.channelTabs.addEventListener('click', e => {
+      const tab = e.target.closest('.channel-tab');
+      if (tab) selectChannel(parseInt(tab.dataset.channel));
+    });
+
+    // A new channel takes the first role no channel plays yet, and the profile's sends
+    els.btnAddChannel.addEventListener('click', () => {
+      const role = Object.keys(Config.ROLES).find(id => !State.channels.some(ch => ch.role === id)) || 'lead';
+      History.perform('Add channel', () => {
+        if (!Song.addChannel(role, Audio.getMaxChannels(State.profile))) return;
+        Object.assign(State.channels[State.activeChannel].fx, Audio.sendDefaults(State.profile));
+      });
+      Audio.setFx();
+      selectChannel(State.activeChannel);
+    });
+
+    els.btnRemoveChannel.addEventListener('click', () => {
+      History.perform('Remove channel', () => Song.removeChannel(State.activeChannel));
+      Audio.setFx();
+      selectChannel(State.activeChannel);
+    });
+
+    els.channelRole.addEventListener('change', () => {
+      History.perform('Channel role', () => Song.setRole(State.activeChannel, els.channelRole.value));
+      syncChannelControls();
+    });
+
+    els.channelColor.addEventListener('change', () => {
+      History.perform('Channel color', () => {
+        State.channels[State.activeChannel].color = els.channelColor.value;
       });
+      setChannelTheme(State.activeChannel);
+      renderChannelTabs();
     });
 
     // Channel controls
     els.waveType.addEventListener('change', () => {
-      State.channels[State.activeChannel].waveType = els.waveType.value;
+      History.perform('Wave', () => {
+        State.channels[State.activeChannel].waveType = els.waveType.value;
+      });
+      syncShapeControls();
+    });
+
+    els.dutyCycle.addEventListener('change', () => {
+      History.perform('Duty', () => {
+        State.channels[State.activeChannel].duty = parseFloat(els.dutyCycle.value);
+      });
+    });
+
+    els.btnRing.addEventListener('click', () => {
+      const ch = State.channels[State.activeChannel];
+      History.perform('Ring mod', () => { ch.ring = !ch.ring; });
+      syncShapeControls();
     });
 
+    els.btnKit.addEventListener('click', () => {
+      const ch = State.channels[State.activeChannel];
+      History.perform('Drum kit', () => { ch.drumKit = !ch.drumKit; });
+      syncShapeControls();
+      syncNoteLabels();
+    });
+
+    els.noiseMode.addEventListener('change', () => {
+      History.perform('Noise mode', () => {
+        State.channels[State.activeChannel].noiseMode = els.noiseMode.value;
+      });
+    });
+
+    // Slider drags stay one undo entry: opened on the first input, closed on change
     els.channelVolume.addEventListener('input', () => {
+      History.begin('Volume');
       const val = parseInt(els.channelVolume.value);
       State.channels[State.activeChannel].volume = val / 100;
       els.volumeDisplay.textContent = val;
     });
+    els.channelVolume.addEventListener('change', () => History.end());
+
+    els.channelPan.addEventListener('input', () => {
+      History.begin('Pan');
+      State.channels[State.activeChannel].pan = parseInt(els.channelPan.value) / Config.PAN_STEPS;
+      els.panDisplay.textContent = panLabel(State.channels[State.activeChannel].pan);
+      renderVelocityLane();
+    });
+    els.channelPan.addEventListener('change', () => History.end());
 
     els.btnMute.addEventListener('click', () => {
       const ch = State.channels[State.activeChannel];
-      ch.muted = !ch.muted;
+      History.perform('Mute', () => { ch.muted = !ch.muted; });
       els.btnMute.classList.toggle('active', ch.muted);
     });
 
     els.btnSolo.addEventListener('click', () => {
       const ch = State.channels[State.activeChannel];
-      ch.solo = !ch.solo;
+      History.perform('Solo', () => { ch.solo = !ch.solo; });
       els.btnSolo.classList.toggle('active', ch.solo);
     });
 
+    // Effect rack: every change is heard live and lands in one 'Effects' undo entry
+    els.btnRack.addEventListener('click', () => {
+      syncFxControls();
+      els.fxModal.hidden = false;
+    });
+
+    els.btnRackClose.addEventListener('click', () => {
+      els.fxModal.hidden = true;
+    });
+
+    // The reverb's size and decay rebuild its impulse response, so they're applied on release
+    els.fxSliders.forEach(slider => {
+      const key = slider.dataset.fx;
+      const live = key !== 'size' && key !== 'decay';
+      slider.addEventListener('input', () => {
+        History.begin('Effects');
+        setFxValue(key, sliderToFx(key, parseInt(slider.value)));
+        slider.nextElementSibling.textContent = fxLabel(key, fxValue(key));
+        if (live) Audio.setFx();
+      });
+      slider.addEventListener('change', () => {
+        History.end();
+        if (!live) Audio.setFx();
+        syncFxControls();
+      });
+    });
+
+    els.fxFilter.addEventListener('change', () => {
+      History.perform('Effects', () => {
+        State.channels[State.activeChannel].fx.filter = els.fxFilter.value;
+      });
+      Audio.setFx();
+      syncFxControls();
+    });
+
+    els.fxDivision.addEventListener('change', () => {
+      History.perform('Effects', () => {
+        State.fx.delay.division = els.fxDivision.value;
+      });
+      Audio.setFx();
+    });
+
     // Transport
     els.btnPlay.addEventListener('click', () => {
       if (State.playing) {
@@ -1826,21 +5729,31 @@ const UI = (() => {
     });
 
     function syncBpmFromSlider() {
+      History.begin('BPM');
       State.bpm = parseInt(els.bpmSlider.value) || 0;
       if (els.bpmInput) els.bpmInput.value = State.bpm;
+      renderVelocityLane();
     }
     function syncBpmFromInput() {
+      History.begin('BPM');
       let val = parseInt(els.bpmInput.value) || 0;
       val = Math.max(0, Math.min(240, val));
       State.bpm = val;
       els.bpmSlider.value = val;
       els.bpmInput.value = val;
+      renderVelocityLane();
     }
     els.bpmSlider.addEventListener('input', syncBpmFromSlider);
-    els.bpmSlider.addEventListener('change', syncBpmFromSlider);
+    els.bpmSlider.addEventListener('change', () => {
+      syncBpmFromSlider();
+      History.end();
+    });
     if (els.bpmInput) {
       els.bpmInput.addEventListener('input', syncBpmFromInput);
-      els.bpmInput.addEventListener('change', syncBpmFromInput);
+      els.bpmInput.addEventListener('change', () => {
+        syncBpmFromInput();
+        History.end();
+      });
     }
 
     els.btnLoop.addEventListener('click', () => {
@@ -1848,31 +5761,160 @@ const UI = (() => {
       els.btnLoop.classList.toggle('active', State.looping);
     });
 
-    // Bit mode toggle
-    els.btnBitMode.addEventListener('click', () => {
+    els.btnScope.addEventListener('click', () => {
+      State.playScope = State.playScope === 'song' ? 'pattern' : 'song';
+      renderSongRow();
+    });
+
+    // Pattern bank: pick the pattern the grid edits
+    els.patternBank.addEventListener('click', e => {
+      const chip = e.target.closest('.pattern-chip');
+      if (chip) selectPattern(parseInt(chip.dataset.pattern));
+    });
+
+    document.getElementById('btn-pattern-add').addEventListener('click', () => {
+      editSong('New pattern', () => Song.addPattern());
+    });
+
+    document.getElementById('btn-pattern-dup').addEventListener('click', () => {
+      editSong('Copy pattern', () => Song.duplicatePattern());
+    });
+
+    document.getElementById('btn-pattern-del').addEventListener('click', () => {
+      editSong('Delete pattern', () => Song.deletePattern(State.editPattern));
+    });
+
+    // Order list: selecting an entry also opens its pattern in the grid
+    els.orderList.addEventListener('click', e => {
+      const chip = e.target.closest('.order-chip');
+      if (!chip) return;
+      selectedOrder = parseInt(chip.dataset.order);
+      selectPattern(State.order[selectedOrder].pattern);
+    });
+
+    document.getElementById('btn-order-add').addEventListener('click', () => {
+      editSong('Add to order', () => {
+        if (Song.appendToOrder(State.editPattern)) selectedOrder = State.order.length - 1;
+      });
+    });
+
+    document.getElementById('btn-order-left').addEventListener('click', () => {
+      if (!State.order.length) return;
+      editSong('Move order entry', () => { selectedOrder = Song.moveInOrder(selectedOrder, -1); });
+    });
+
+    document.getElementById('btn-order-right').addEventListener('click', () => {
+      if (!State.order.length) return;
+      editSong('Move order entry', () => { selectedOrder = Song.moveInOrder(selectedOrder, 1); });
+    });
+
+    document.getElementById('btn-order-rep-down').addEventListener('click', () => {
+      if (!State.order.length) return;
+      editSong('Repeats', () => Song.setRepeats(selectedOrder, State.order[selectedOrder].repeats - 1));
+    });
+
+    document.getElementById('btn-order-rep-up').addEventListener('click', () => {
+      if (!State.order.length) return;
+      editSong('Repeats', () => Song.setRepeats(selectedOrder, State.order[selectedOrder].repeats + 1));
+    });
+
+    document.getElementById('btn-order-del').addEventListener('click', () => {
+      if (!State.order.length) return;
+      editSong('Remove order entry', () => Song.removeFromOrder(selectedOrder));
+    });
+
+    // Pattern length + meter apply to every pattern in the bank
+    function applyLength() {
+      const bars = Math.max(1, Math.min(Song.maxBars(els.songMeter.value), parseInt(els.songBars.value) || State.bars));
+      History.perform('Pattern length', () => Song.setLength(bars, els.songMeter.value));
+      rebuildGrid();
+    }
+    els.songBars.addEventListener('change', applyLength);
+    els.songMeter.addEventListener('change', applyLength);
+
+    // Groove: template, swing amount (dragged as one undo step) and custom offsets
+    els.songGroove.addEventListener('change', () => {
+      History.perform('Groove', () => {
+        State.groove = { ...State.groove, template: els.songGroove.value };
+      });
+      syncGrooveControls();
+    });
+
+    function syncSwingFromSlider() {
+      History.begin('Swing');
+      State.groove = { ...State.groove, swing: parseInt(els.songSwing.value) };
+      els.swingDisplay.textContent = `${State.groove.swing}%`;
+    }
+    els.songSwing.addEventListener('input', syncSwingFromSlider);
+    els.songSwing.addEventListener('change', () => {
+      syncSwingFromSlider();
+      History.end();
+    });
+
+    els.grooveOffsets.addEventListener('change', () => {
+      const offsets = parseGrooveOffsets(els.grooveOffsets.value);
+      if (!offsets) {
+        alert(`Enter 1 to ${Config.MAX_GROOVE_STEPS} offsets from -50 to 50 (hundredths of a step), separated by spaces.`);
+      } else {
+        History.perform('Groove', () => {
+          State.groove = { ...State.groove, offsets };
+        });
+      }
+      syncGrooveControls();
+    });
+
+    // Hardware profile picker
+    els.profile.addEventListener('change', () => {
       Audio.init();
-      // Cycle 8 → 16 → 32 → 8
-      State.bitMode = State.bitMode === 8 ? 16 : State.bitMode === 16 ? 32 : 8;
-      Audio.setBitMode(State.bitMode);
-      els.btnBitMode.textContent = State.bitMode + '-BIT';
-      els.btnBitMode.classList.remove('active');
-      els.btnBitMode.classList.remove('mode-16');
-      els.btnBitMode.classList.remove('mode-32');
-      if (State.bitMode === 8) els.btnBitMode.classList.add('active');
-      else if (State.bitMode === 16) els.btnBitMode.classList.add('mode-16');
-      else els.btnBitMode.classList.add('mode-32');
-      syncWaveOptions();
+      History.perform('Profile', () => {
+        // Sends still at the old profile's defaults follow the new one; ones the user set stay
+        const oldSends = Audio.sendDefaults(State.profile);
+        State.profile = els.profile.value;
+        State.crush = Audio.crushDefaults(State.profile);
+        const sends = Audio.sendDefaults(State.profile);
+        State.channels.forEach(ch => {
+          for (const key of Object.keys(sends)) {
+            if (ch.fx[key] === oldSends[key]) ch.fx[key] = sends[key];
+          }
+        });
+        Audio.setProfile(State.profile);
+        Audio.setCrush();
+        syncProfileControls();
+        syncChannelControls();
+      });
     });
 
+    els.btnAuthentic.addEventListener('click', () => {
+      History.perform('2A03 mode', () => {
+        State.authentic = !State.authentic;
+        syncProfileControls();
+        syncShapeControls();
+      });
+    });
+
+    // Crusher depth and rate start from the profile's defaults and can be changed freely
+    function applyCrush() {
+      History.perform('Crusher', () => {
+        State.crush = { depth: parseInt(els.crushDepth.value), rate: parseInt(els.crushRate.value) };
+        Audio.setCrush();
+      });
+    }
+    els.crushDepth.addEventListener('change', applyCrush);
+    els.crushRate.addEventListener('change', applyCrush);
+
     // Preset chips
     document.querySelectorAll('.preset-chip').forEach(chip => {
       chip.addEventListener('click', () => {
         document.querySelectorAll('.preset-chip').forEach(c => c.classList.remove('active'));
         chip.classList.add('active');
         Audio.init();
-        Generator.applyPreset(chip.dataset.preset);
-        syncGeneratorControls();
-        Generator.generateAll();
+        History.perform('Style ' + chip.dataset.preset, () => {
+          Generator.reseed();
+          Generator.applyPreset(chip.dataset.preset);
+          syncGeneratorControls();
+          syncGrooveControls();
+          Generator.generateAll();
+        });
       });
     });
 
@@ -1890,13 +5932,35 @@ const UI = (() => {
       els.densityDisplay.textContent = State.generate.density;
     });
 
+    els.genFx.addEventListener('change', () => {
+      State.generate.effects = els.genFx.checked;
+    });
+
+    // SEED: typing a seed regenerates with it (same seed + same settings = same pattern)
+    els.genSeed.addEventListener('change', () => {
+      const val = parseInt(els.genSeed.value);
+      if (!Number.isFinite(val)) {
+        els.genSeed.value = State.generate.seed;
+        return;
+      }
+      Audio.init();
+      History.perform('Seed', () => {
+        State.generate.seed = Math.max(0, Math.min(0xFFFFFFFF, val));
+        Generator.regenerate();
+      });
+      syncGeneratorControls();
+    });
+
     // GENERATE: uses the selected style preset
     if (els.btnStyleGen) {
       els.btnStyleGen.addEventListener('click', () => {
         console.log('GENERATE clicked, style:', State.activePreset);
         Audio.init();
-        Generator.applyPreset(State.activePreset);
-        Generator.generateAll();
+        History.perform('Generate', () => {
+          Generator.reseed();
+          Generator.applyPreset(State.activePreset);
+          Generator.generateAll();
+        });
         syncGeneratorControls();
       });
     } else {
@@ -1906,33 +5970,156 @@ const UI = (() => {
     // RANDOMIZE: fully random scale, BPM, waves, styles
     els.btnGenerate.addEventListener('click', () => {
       Audio.init();
-      Generator.generateRandom();
+      History.perform('Randomize', () => {
+        Generator.reseed();
+        Generator.generateRandom();
+      });
       syncGeneratorControls();
     });
 
     els.btnClear.addEventListener('click', () => {
-      Generator.clearAll();
+      History.perform('Clear', () => Generator.clearAll());
     });
 
     // Export
     els.exportDuration = document.getElementById('export-duration');
+    els.exportNormalize = document.getElementById('export-normalize');
     els.btnExport.addEventListener('click', () => {
       try {
         Audio.init();
         const raw = els.exportDuration ? els.exportDuration.value.trim() : '';
         const durVal = parseFloat(raw);
         const customDur = (Number.isFinite(durVal) && durVal > 0) ? Math.min(durVal, 1000) : 0;
-        console.log('Export clicked, customDur:', customDur, 'BPM:', State.bpm);
-        Exporter.exportWAV(customDur);
+        // Options read "mode:target", e.g. "lufs:-16"
+        const [mode, target] = els.exportNormalize.value.split(':');
+        console.log('Export clicked, customDur:', customDur, 'BPM:', State.bpm, 'normalize:', mode, target);
+        Exporter.exportWAV(customDur, { mode, target: parseFloat(target) }).then(report => {
+          if (report) openExportReport(report);
+        });
       } catch (e) {
         console.error('Export error:', e);
         alert('Export failed: ' + e.message);
       }
     });
 
+    els.btnExportMidi.addEventListener('click', () => {
+      try {
+        Exporter.exportMIDI();
+      } catch (e) {
+        console.error('MIDI export error:', e);
+        alert('MIDI export failed: ' + e.message);
+      }
+    });
+
+    els.btnExportFt.addEventListener('click', () => {
+      try {
+        const warnings = Exporter.exportFamiTracker();
+        if (warnings.length > 0) {
+          alert('FamiTracker export notes:\n\n' + warnings.join('\n'));
+        }
+      } catch (e) {
+        console.error('FamiTracker export error:', e);
+        alert('FamiTracker export failed: ' + e.message);
+      }
+    });
+
+    // Project save / load
+    els.btnSave.addEventListener('click', () => {
+      Project.save();
+    });
+
+    els.btnLoad.addEventListener('click', () => {
+      els.loadFile.click();
+    });
+
+    els.loadFile.addEventListener('change', () => {
+      const file = els.loadFile.files[0];
+      els.loadFile.value = '';
+      if (!file) return;
+      // Read and validate first, then record the load as one undo step
+      file.text().then(text => {
+        const song = Project.parse(text);
+        History.perform('Load project', () => Project.apply(song));
+        syncAll();
+        console.log('Project loaded:', file.name);
+      }).catch(err => {
+        console.error('Load failed:', err);
+        alert('Load failed: ' + err.message);
+      });
+    });
+
+    els.btnCopyLink.addEventListener('click', () => {
+      const link = Share.buildLink();
+      const done = () => {
+        els.btnCopyLink.textContent = 'COPIED!';
+        setTimeout(() => { els.btnCopyLink.textContent = 'COPY LINK'; }, 1200);
+      };
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(link).then(done).catch(() => prompt('Copy this link:', link));
+      } else {
+        prompt('Copy this link:', link);
+      }
+    });
+
+    // MIDI import
+    els.btnImportMidi.addEventListener('click', () => {
+      els.importFile.click();
+    });
+
+    els.importFile.addEventListener('change', () => {
+      const file = els.importFile.files[0];
+      els.importFile.value = '';
+      if (!file) return;
+      file.arrayBuffer().then(buf => {
+        openImportDialog(Importer.parseMIDI(new Uint8Array(buf)));
+      }).catch(err => {
+        console.error('MIDI import failed:', err);
+        alert('MIDI import failed: ' + err.message);
+      });
+    });
+
+    els.btnImportApply.addEventListener('click', applyPendingImport);
+
+    els.btnImportClose.addEventListener('click', () => {
+      pendingImport = null;
+      els.importModal.hidden = true;
+    });
+
+    els.btnExportClose.addEventListener('click', () => {
+      els.exportModal.hidden = true;
+    });
+
+    // Autosave revisions
+    els.btnRevisions.addEventListener('click', openRevisionsDialog);
+
+    els.revisionList.addEventListener('click', e => {
+      const row = e.target.closest('.revision');
+      if (row) previewRevision(parseInt(row.dataset.id));
+    });
+
+    els.btnRevisionPlay.addEventListener('click', () => {
+      if (State.playing) Audio.stop();
+      else Audio.play();
+    });
+
+    els.btnRevisionRestore.addEventListener('click', () => closeRevisionsDialog(true));
+    els.btnRevisionClose.addEventListener('click', () => closeRevisionsDialog(false));
+
     // Keyboard shortcuts
     document.addEventListener('keydown', e => {
+      // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redo; text fields keep their own undo
+      if ((e.ctrlKey || e.metaKey) && (e.code === 'KeyZ' || e.code === 'KeyY')) {
+        if (e.target.matches('input[type="number"], input[type="text"]')) return;
+        // History is paused while a revision preview is on screen
+        if (!els.revisionModal.hidden) return;
+        e.preventDefault();
+        if (e.code === 'KeyY' || e.shiftKey) History.redo();
+        else History.undo();
+        return;
+      }
       if (e.code === 'Space') {
+        // Spaces separate custom groove offsets
+        if (e.target.matches('input[type="text"]')) return;
         e.preventDefault();
         if (State.playing) Audio.stop();
         else Audio.play();
@@ -1940,7 +6127,7 @@ const UI = (() => {
     });
   }
 
-  return { init, renderGrid, updatePlayhead, onPlayStateChange };
+  return { init, renderGrid, syncAll, updatePlayhead, onPlayStateChange };
 })();
 
 // === Bootstrap ===